@@ -0,0 +1,63 @@
+// Oulu WebCams - Municipality spatial index
+// Shared by the page (js.js) and the geo Web Worker (geo-worker.js)
+
+/**
+ * Bounding-box grid index over the municipality polygons.
+ * Each feature is registered in every grid cell its bbox overlaps, so a lookup
+ * only runs point-in-polygon tests against the few municipalities near the point.
+ */
+class MunicipalityIndex {
+    constructor(featureCollection, cellSize = 0.25) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.entries = [];
+
+        featureCollection.features.forEach(feature => {
+            if (!feature.geometry) return;
+            if (feature.geometry.type !== 'Polygon' && feature.geometry.type !== 'MultiPolygon') return;
+
+            const entry = {
+                bbox: turf.bbox(feature),
+                feature,
+                name: feature.properties.nimi || 'Unknown'
+            };
+            this.entries.push(entry);
+            const [west, south, east, north] = entry.bbox;
+
+            for (let x = this.toCell(west); x <= this.toCell(east); x++) {
+                for (let y = this.toCell(south); y <= this.toCell(north); y++) {
+                    const key = `${x}:${y}`;
+                    if (!this.cells.has(key)) this.cells.set(key, []);
+                    this.cells.get(key).push(entry);
+                }
+            }
+        });
+    }
+
+    toCell(degrees) {
+        return Math.floor(degrees / this.cellSize);
+    }
+
+    lookup(lat, lon) {
+        const candidates = this.cells.get(`${this.toCell(lon)}:${this.toCell(lat)}`) || [];
+        const point = turf.point([lon, lat]);
+
+        for (const entry of candidates) {
+            const [west, south, east, north] = entry.bbox;
+            if (lon < west || lon > east || lat < south || lat > north) continue;
+
+            if (turf.booleanPointInPolygon(point, entry.feature)) {
+                return entry.name;
+            }
+        }
+
+        return 'Unknown';
+    }
+
+    // Features whose bbox overlaps [west, south, east, north]
+    within([west, south, east, north]) {
+        return this.entries
+            .filter(({ bbox }) => bbox[0] <= east && bbox[2] >= west && bbox[1] <= north && bbox[3] >= south)
+            .map(entry => entry.feature);
+    }
+}
@@ -0,0 +1,60 @@
+// Oulu WebCams - Geo Web Worker
+// Builds the municipality index off the main thread and answers station lookups
+
+// The GeoJSON is only loaded here; the page asks for names and map boundaries
+
+importScripts('geo-index.js');
+
+let municipalityIndex = null;
+
+const handlers = {
+    // turfUrl is the page's own copy, so it comes from the same browser and service worker cache
+    async init({ url, timeout, turfUrl }) {
+        importScripts(turfUrl);
+
+        const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+        if (!response.ok) throw new Error('Failed to load municipality data');
+
+        municipalityIndex = new MunicipalityIndex(await response.json());
+        return true;
+    },
+
+    // -> [{ code, name }] of every municipality
+    municipalities() {
+        if (!municipalityIndex) throw new Error('Municipality index not initialized');
+
+        return municipalityIndex.entries.map(({ feature }) => ({
+            code: feature.properties.kunta,
+            name: feature.properties.nimi
+        }));
+    },
+
+    // bbox: [west, south, east, north] -> features overlapping it
+    boundaries({ bbox }) {
+        if (!municipalityIndex) throw new Error('Municipality index not initialized');
+
+        return municipalityIndex.within(bbox);
+    },
+
+    // stations: [{ cameraId, lat, lon }] -> { cameraId: municipality }
+    lookup({ stations }) {
+        if (!municipalityIndex) throw new Error('Municipality index not initialized');
+
+        const result = {};
+        stations.forEach(station => {
+            result[station.cameraId] = municipalityIndex.lookup(station.lat, station.lon);
+        });
+        return result;
+    }
+};
+
+self.addEventListener('message', async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        const result = await handlers[type](payload);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -1,105 +1,279 @@
 // Oulu WebCams - Enhanced Traffic Camera Monitor
-class OuluWebCams {
-    constructor() {
-        this.cameras = [];
-        this.allCameras = []; // Store original unfiltered cameras
-        this.municipalityData = null;
-        this.currentImages = [];
-        this.cyclingInterval = null;
-        this.currentCycleIndex = 0;
-        this.lockedCameras = new Set();
-        this.lastFullUpdate = null;
-        this.isMobile = this.detectMobile(); // Add mobile detection
 
-        // Configuration
-        this.config = {
-            cameraCount: 4,
-            cycling: false,
-            cyclingInterval: 5000,
-            cyclingMode: 'all',
-            selectedMunicipality: '',
-            selectedStation: '',
-            dropOldCameras: true,
-            autoHideControls: true,
-            hideTimeout: 2000,
-            imageCache: new Map(),
-            rateLimitBackoff: false
-        };
+// Requests slower than this are abandoned, so one hung call can't stall the refresh queue
+const FETCH_TIMEOUT = 20000;
+const IMAGE_LOAD_TIMEOUT = 30000;
+
+/**
+ * Camera data source adapters.
+ * Each adapter fetches cameras from one kind of backend and normalizes them into
+ * flat preset records: { presetId, presentationName, imageUrl, measuredTime,
+ * stationName, cameraId, lat, lon }. An optional loadTimes() answers the
+ * lighter question of what each preset shows now, as a Map of presetId ->
+ * { measuredTime, imageUrl }, leaving imageUrl out where it never changes.
+ * Additional adapters can be registered by adding a key to this object before
+ * the app initializes.
+ */
+const CAMERA_DATA_SOURCES = {
+    // Oulun liikenne GraphQL proxy (default)
+    oulunliikenne: {
+        defaultEndpoint: 'https://api.oulunliikenne.fi/proxy/graphql',
+
+        async load(endpoint) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                signal: AbortSignal.timeout(FETCH_TIMEOUT),
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    operationName: 'GetAllCameras',
+                    variables: {},
+                    query: 'query GetAllCameras {cameras{cameraId,name,lat,lon,presets{presetId,presentationName,imageUrl,measuredTime}}}'
+                })
+            });
 
-        this.hideControlsTimer = null;
-        this.uiHidden = false;
-        this.init();
-    }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
 
-    // Mobile detection method
-    detectMobile() {
-        const userAgent = navigator.userAgent || navigator.vendor || window.opera;
-        const screenWidth = window.screen.width;
-        
-        // Check for mobile user agents and screen size
-        return (
-            /android|webos|iphone|ipad|ipod|blackberry|iemobile|opera mini/i.test(userAgent) ||
-            screenWidth <= 480 ||
-            (window.matchMedia && window.matchMedia("(max-width: 480px)").matches)
-        );
-    }
+            const data = await response.json();
+            return CAMERA_DATA_SOURCES.oulunliikenne.normalize(data);
+        },
+
+        // Latest captures only, for change detection between full reloads
+        async loadTimes(endpoint) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                signal: AbortSignal.timeout(FETCH_TIMEOUT),
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    operationName: 'GetCameraTimes',
+                    variables: {},
+                    query: 'query GetCameraTimes {cameras{presets{presetId,imageUrl,measuredTime}}}'
+                })
+            });
 
-    async init() {
-        console.log('Initializing Oulu WebCams...');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
 
-        // Check if Turf is available
-        if (typeof turf === 'undefined') {
-            console.error('Turf.js is not loaded! Geospatial calculations will fail.');
-            this.updateStatus('Turf.js library not loaded', 'error');
-            return;
-        } else {
-            console.log('Turf.js loaded successfully');
-        }
+            const data = await response.json();
+            const captures = new Map();
+            ((data && data.data && data.data.cameras) || []).forEach(station => {
+                (station.presets || []).forEach(preset => {
+                    captures.set(preset.presetId, { measuredTime: preset.measuredTime, imageUrl: preset.imageUrl });
+                });
+            });
 
-        try {
-            await this.loadMunicipalityData();
-            await this.loadCameras();
-            this.setupEventListeners();
-            this.setupMobileRestrictions(); // Add mobile-specific setup
-            this.setupAutoHide();
-            this.startPeriodicUpdates();
-            this.startImageRefresh();
-            this.updateStatus('Ready', 'success');
-        } catch (error) {
-            console.error('Initialization failed:', error);
-            this.updateStatus('Failed to initialize', 'error');
+            return captures;
+        },
+
+        normalize(data) {
+            const stations = (data && data.data && data.data.cameras) || [];
+            const records = [];
+
+            stations.forEach(station => {
+                (station.presets || []).forEach(preset => {
+                    records.push({
+                        presetId: preset.presetId,
+                        presentationName: preset.presentationName,
+                        imageUrl: preset.imageUrl,
+                        measuredTime: preset.measuredTime,
+                        stationName: station.name,
+                        cameraId: station.cameraId,
+                        lat: station.lat,
+                        lon: station.lon
+                    });
+                });
+            });
+
+            return records;
         }
-    }
+    },
 
-    async loadMunicipalityData() {
-        try {
-            this.updateStatus('Loading municipality data...', 'loading');
-            const response = await fetch('finnish-municipalities-wgs84.geojson');
-            if (!response.ok) throw new Error('Failed to load municipality data');
+    // Fintraffic Digitraffic weather cameras (nationwide)
+    digitraffic: {
+        defaultEndpoint: 'https://tie.digitraffic.fi/api/weathercam/v1',
 
-            this.municipalityData = await response.json();
-            console.log('Municipality data loaded:', this.municipalityData.features.length, 'municipalities');
-        } catch (error) {
-            console.error('Error loading municipality data:', error);
-            throw error;
+        async load(endpoint) {
+            const headers = { 'Accept': 'application/json' };
+            const [stationsResponse, dataResponse] = await Promise.all([
+                fetch(`${endpoint}/stations`, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT) }),
+                fetch(`${endpoint}/stations/data`, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT) })
+            ]);
+
+            if (!stationsResponse.ok) {
+                throw new Error(`HTTP ${stationsResponse.status}: ${stationsResponse.statusText}`);
+            }
+            if (!dataResponse.ok) {
+                throw new Error(`HTTP ${dataResponse.status}: ${dataResponse.statusText}`);
+            }
+
+            const stations = await stationsResponse.json();
+            const data = await dataResponse.json();
+            return CAMERA_DATA_SOURCES.digitraffic.normalize(stations, data);
+        },
+
+        async loadTimes(endpoint) {
+            const response = await fetch(`${endpoint}/stations/data`, {
+                headers: { 'Accept': 'application/json' },
+                signal: AbortSignal.timeout(FETCH_TIMEOUT)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            // Image URLs are derived from the preset ID
+            const captures = new Map();
+            ((data && data.stations) || []).forEach(station => {
+                (station.presets || []).forEach(preset => {
+                    captures.set(preset.id, { measuredTime: preset.measuredTime });
+                });
+            });
+
+            return captures;
+        },
+
+        normalize(stations, data) {
+            // Index preset timestamps by preset ID
+            const measuredTimes = new Map();
+            ((data && data.stations) || []).forEach(station => {
+                (station.presets || []).forEach(preset => {
+                    measuredTimes.set(preset.id, preset.measuredTime);
+                });
+            });
+
+            const records = [];
+
+            ((stations && stations.features) || []).forEach(feature => {
+                const [lon, lat] = feature.geometry.coordinates;
+                const properties = feature.properties;
+
+                (properties.presets || []).forEach(preset => {
+                    if (preset.inCollection === false || !measuredTimes.has(preset.id)) return;
+
+                    records.push({
+                        presetId: preset.id,
+                        presentationName: preset.presentationName || preset.id,
+                        imageUrl: `https://weathercam.digitraffic.fi/${preset.id}.jpg`,
+                        measuredTime: measuredTimes.get(preset.id),
+                        stationName: properties.name,
+                        cameraId: properties.id,
+                        lat,
+                        lon
+                    });
+                });
+            });
+
+            return records;
         }
-    }
+    },
 
-    async loadCameras() {
-        try {
-            this.updateStatus('Loading cameras...', 'loading');
+    // Local JSON fixture, either a GraphQL response or an array of preset records.
+    // A preset with a frameInterval (seconds) stands in for a live camera, see playFrames().
+    fixture: {
+        defaultEndpoint: 'fixtures/cameras.json',
+
+        async load(endpoint) {
+            const response = await fetch(endpoint, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
 
-            console.log('Making API request to fetch cameras...');
+            const data = await response.json();
+            const records = Array.isArray(data)
+                ? data
+                : CAMERA_DATA_SOURCES.oulunliikenne.normalize(data);
+
+            const rebased = CAMERA_DATA_SOURCES.fixture.rebaseTimes(records, endpoint);
+            return CAMERA_DATA_SOURCES.fixture.playFrames(rebased, data);
+        },
+
+        // The file is small, so captures come from a full load with the same offset.
+        // Live presets move on to their next frame here too.
+        async loadTimes(endpoint) {
+            const records = await CAMERA_DATA_SOURCES.fixture.load(endpoint);
+            return new Map(records.map(({ presetId, measuredTime, imageUrl }) => [presetId, { measuredTime, imageUrl }]));
+        },
+
+        // Offset per endpoint, fixed on the first load so repeated loads report the same times
+        timeOffsets: new Map(),
+
+        // Shift fixture timestamps so the newest image is "now" and the age filter keeps them
+        rebaseTimes(records, endpoint) {
+            const times = records.map(record => new Date(record.measuredTime).getTime());
+            const validTimes = times.filter(Number.isFinite);
+            if (validTimes.length === 0) {
+                return records;
+            }
 
-            const response = await fetch("https://api.oulunliikenne.fi/proxy/graphql", {
-                method: "POST",
+            const offsets = CAMERA_DATA_SOURCES.fixture.timeOffsets;
+            if (!offsets.has(endpoint)) {
+                offsets.set(endpoint, Date.now() - Math.max(...validTimes));
+            }
+            const offset = offsets.get(endpoint);
+
+            return records.map((record, index) => (Number.isFinite(times[index])
+                ? { ...record, measuredTime: new Date(times[index] + offset).toISOString() }
+                : record));
+        },
+
+        // Live presets get a new capture every frameInterval, cycling through their frames
+        // (a list of image URLs) or repeating their one image like a frozen camera
+        playFrames(records, data) {
+            const presets = Array.isArray(data)
+                ? data
+                : ((data && data.data && data.data.cameras) || []).flatMap(station => station.presets || []);
+            const livePresets = new Map(presets
+                .filter(preset => preset.frameInterval > 0)
+                .map(preset => [preset.presetId, preset]));
+            const now = Date.now();
+
+            return records.map(record => {
+                const preset = livePresets.get(record.presetId);
+                const start = new Date(record.measuredTime).getTime();
+                if (!preset || !Number.isFinite(start)) return record;
+
+                const interval = preset.frameInterval * 1000;
+                const step = Math.max(Math.floor((now - start) / interval), 0);
+                const frames = preset.frames || [record.imageUrl];
+
+                return {
+                    ...record,
+                    imageUrl: frames[step % frames.length],
+                    measuredTime: new Date(start + step * interval).toISOString()
+                };
+            });
+        }
+    }
+};
+
+/**
+ * Road weather data source adapters, same idea as CAMERA_DATA_SOURCES.
+ * load(endpoint) returns station records: { stationId, name, lat, lon,
+ * measuredTime, airTemperature, roadTemperature, friction, precipitation },
+ * with null for readings a station doesn't have.
+ */
+const WEATHER_DATA_SOURCES = {
+    // Weather stations on the Oulun liikenne GraphQL proxy
+    oulunliikenne: {
+        defaultEndpoint: 'https://api.oulunliikenne.fi/proxy/graphql',
+
+        async load(endpoint) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                signal: AbortSignal.timeout(FETCH_TIMEOUT),
                 headers: {
-                    "Content-Type": "application/json"
+                    'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    "operationName": "GetAllCameras",
-                    "variables": {},
-                    "query": "query GetAllCameras {cameras{cameraId,name,lat,lon,presets{presetId,presentationName,imageUrl,measuredTime}}}"
+                    operationName: 'GetWeatherStations',
+                    variables: {},
+                    query: 'query GetWeatherStations {weatherStations{weatherStationId,name,lat,lon,measuredTime,sensorValues{name,sensorValue,sensorUnit}}}'
                 })
             });
 
@@ -108,549 +282,5237 @@ class OuluWebCams {
             }
 
             const data = await response.json();
-            console.log('Received API response:', data.data.cameras.length, 'camera stations');
-
-            this.processCameras(data.data.cameras);
-            this.lastFullUpdate = new Date();
+            return WEATHER_DATA_SOURCES.oulunliikenne.normalize(data);
+        },
+
+        normalize(data) {
+            const stations = (data && data.data && data.data.weatherStations) || [];
+
+            return stations.map(station => ({
+                stationId: station.weatherStationId,
+                name: station.name,
+                lat: station.lat,
+                lon: station.lon,
+                measuredTime: station.measuredTime,
+                ...WEATHER_DATA_SOURCES.oulunliikenne.readSensors(station.sensorValues, 'sensorValue')
+            }));
+        },
+
+        // Pick the WEATHER_SENSORS readings out of a station's sensor list
+        readSensors(sensorValues, valueKey) {
+            const values = new Map((sensorValues || []).map(sensor => [sensor.name, sensor[valueKey]]));
+            const readings = {};
+
+            Object.entries(WEATHER_SENSORS).forEach(([field, names]) => {
+                const name = names.find(candidate => Number.isFinite(values.get(candidate)));
+                readings[field] = name ? values.get(name) : null;
+            });
 
-        } catch (error) {
-            console.error('Error loading cameras:', error);
-            this.updateStatus(`Failed to load cameras: ${error.message}`, 'error');
-            throw error;
+            return readings;
         }
-    }
+    },
 
-    processCameras(rawCameras) {
-        console.log('Processing', rawCameras.length, 'camera stations...');
+    // Fintraffic Digitraffic road weather stations (nationwide)
+    digitraffic: {
+        defaultEndpoint: 'https://tie.digitraffic.fi/api/weather/v1',
 
-        const processedCameras = [];
+        async load(endpoint) {
+            const headers = { 'Accept': 'application/json' };
+            const [stationsResponse, dataResponse] = await Promise.all([
+                fetch(`${endpoint}/stations`, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT) }),
+                fetch(`${endpoint}/stations/data`, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT) })
+            ]);
 
-        rawCameras.forEach((camera, index) => {
-            const municipality = this.getMunicipalityForCamera(camera.lat, camera.lon);
-            console.log(`Station ${index + 1}:`, camera.name, `at (${camera.lat}, ${camera.lon})`, '→', municipality);
+            if (!stationsResponse.ok) {
+                throw new Error(`HTTP ${stationsResponse.status}: ${stationsResponse.statusText}`);
+            }
+            if (!dataResponse.ok) {
+                throw new Error(`HTTP ${dataResponse.status}: ${dataResponse.statusText}`);
+            }
 
-            camera.presets.forEach(preset => {
-                const processedCamera = {
-                    ...preset,
-                    stationName: camera.name,
-                    cameraId: camera.cameraId,
-                    lat: camera.lat,
-                    lon: camera.lon,
-                    municipality: municipality,
-                    measuredTime: new Date(preset.measuredTime),
-                    age: this.getImageAge(preset.measuredTime)
-                };
+            const stations = await stationsResponse.json();
+            const data = await dataResponse.json();
+            return WEATHER_DATA_SOURCES.digitraffic.normalize(stations, data);
+        },
 
-                processedCameras.push(processedCamera);
+        normalize(stations, data) {
+            const readings = new Map();
+            ((data && data.stations) || []).forEach(station => {
+                readings.set(station.id, station);
             });
-        });
 
-        console.log('Processed', processedCameras.length, 'camera presets total');
+            const records = [];
+
+            ((stations && stations.features) || []).forEach(feature => {
+                const reading = readings.get(feature.properties.id);
+                if (!reading) return;
+
+                const [lon, lat] = feature.geometry.coordinates;
+                records.push({
+                    stationId: feature.properties.id,
+                    name: feature.properties.name,
+                    lat,
+                    lon,
+                    measuredTime: reading.dataUpdatedTime,
+                    ...WEATHER_DATA_SOURCES.oulunliikenne.readSensors(reading.sensorValues, 'value')
+                });
+            });
 
-        // Store original unfiltered cameras
-        this.allCameras = processedCameras;
-        
-        // Filter cameras based on settings
-        this.cameras = this.filterCameras(processedCameras);
+            return records;
+        }
+    },
 
-        console.log(`After filtering: ${this.cameras.length} cameras available`);
+    // Local JSON fixture in the GraphQL response shape, for offline testing
+    fixture: {
+        defaultEndpoint: 'fixtures/weather.json',
 
-        this.populateSelectors();
-        this.renderCameras();
+        async load(endpoint) {
+            const response = await fetch(endpoint, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
 
-        this.updateStatus(
-            `${this.cameras.length} cameras loaded`,
-            'success'
-        );
+            const records = WEATHER_DATA_SOURCES.oulunliikenne.normalize(await response.json());
+            return CAMERA_DATA_SOURCES.fixture.rebaseTimes(records, endpoint);
+        }
+    }
+};
+
+// Sensor names (Finnish road weather station conventions first) for each reading
+const WEATHER_SENSORS = {
+    airTemperature: ['ILMA', 'airTemperature'],
+    roadTemperature: ['TIE_1', 'TIE_2', 'roadTemperature'],
+    friction: ['KITKA3_LUKU', 'KITKA1_LUKU', 'friction'],
+    precipitation: ['SADE_INTENSITEETTI', 'precipitationIntensity', 'precipitation']
+};
+const WEATHER_REFRESH_INTERVAL = 10 * 60000;
+
+/**
+ * Persisted settings schema.
+ * Bump SETTINGS_VERSION whenever the stored shape changes and add a migration
+ * keyed by the version it upgrades from.
+ */
+const SETTINGS_STORAGE_KEY = 'ouluWebCams.settings';
+const SETTINGS_VERSION = 5;
+
+const PERSISTED_CONFIG_KEYS = [
+    'cameraCount',
+    'cycling',
+    'cyclingInterval',
+    'cyclingMode',
+    'cycleTransition',
+    'cycleStrategy',
+    'cycleStagger',
+    'cameraPriorities',
+    'selectedMunicipalities',
+    'selectedStations',
+    'selectedGroup',
+    'proximityTarget',
+    'proximityPoint',
+    'proximityRadius',
+    'proximityRoute',
+    'stalePolicy',
+    'staleHours',
+    'imageIssuePolicy',
+    'autoHideControls',
+    'viewMode',
+    'historyLimit',
+    'keyBindings',
+    'filterQuery',
+    'filterMunicipalities',
+    'filterAge',
+    'filterMultiPreset',
+    'gridLayout',
+    'tileOrder',
+    'layoutPresets',
+    'weatherOverlay',
+    'weatherMaxDistance'
+];
+
+const SETTINGS_MIGRATIONS = {
+    // Version 1 stored tile index -> preset ID; pins are now preset ID -> tile index
+    1: settings => ({
+        version: 2,
+        config: settings.config,
+        pinnedPresets: Object.fromEntries(
+            Object.entries(settings.lockedPresets || {}).map(([index, presetId]) => [presetId, Number(index)])
+        )
+    }),
+    // Version 3 adds user-defined camera groups
+    2: settings => ({
+        ...settings,
+        version: 3,
+        groups: []
+    }),
+    // Version 4 replaces the "drop images older than 4 hours" switch with a staleness policy
+    3: settings => {
+        const { dropOldCameras, ...config } = settings.config;
+        return {
+            ...settings,
+            version: 4,
+            config: {
+                ...config,
+                stalePolicy: dropOldCameras === false ? 'show' : 'hide',
+                staleHours: 4
+            }
+        };
+    },
+    // Version 5 allows several municipalities and stations at once
+    4: settings => {
+        const { selectedMunicipality, selectedStation, ...config } = settings.config;
+        return {
+            ...settings,
+            version: 5,
+            config: {
+                ...config,
+                selectedMunicipalities: selectedMunicipality ? [selectedMunicipality] : [],
+                selectedStations: selectedStation ? [selectedStation] : []
+            }
+        };
+    }
+};
+
+// Grid layouts with featured tiles; `large` tiles come first in screen order
+// and span several cells (see the layout-* classes in css.css)
+const GRID_LAYOUTS = [
+    { id: '1-5', name: '1 large + 5 small', large: 1, small: 5 },
+    { id: '1-7', name: '1 large + 7 small', large: 1, small: 7 },
+    { id: '2-8', name: '2 large + 8 small', large: 2, small: 8 },
+    { id: '1-12', name: '1 large + 12 small', large: 1, small: 12 }
+];
+
+// Wall mode: windows coordinating over a BroadcastChannel
+const WALL_CHANNEL_NAME = 'ouluWebCams.wall';
+const WALL_HEARTBEAT_INTERVAL = 5000; // Displays check in this often
+const WALL_SHARED_KEYS = [
+    'cameraCount',
+    'gridLayout',
+    'tileOrder',
+    'cyclingInterval',
+    'cyclingMode',
+    'cycleTransition',
+    'cycleStrategy',
+    'cameraPriorities',
+    'selectedMunicipalities',
+    'selectedStations',
+    'selectedGroup',
+    'proximityTarget',
+    'proximityPoint',
+    'proximityRadius',
+    'proximityRoute',
+    'filterQuery',
+    'filterMunicipalities',
+    'filterAge',
+    'filterMultiPreset',
+    'stalePolicy',
+    'staleHours',
+    'imageIssuePolicy',
+    'weatherOverlay',
+    'weatherMaxDistance'
+];
+
+const MUNICIPALITY_DATA_URL = 'finnish-municipalities-wgs84.geojson';
+
+// Region shortcuts for the municipality selector, as municipality (kunta) codes
+// from the GeoJSON properties
+const MUNICIPALITY_REGIONS = [
+    { name: 'Oulun seutu', codes: ['072', '139', '244', '425', '436', '494', '564', '859'] },
+    { name: 'Koillismaa', codes: ['305', '832'] },
+    { name: 'Raahen seutu', codes: ['625', '678', '748'] },
+    {
+        name: 'Pohjois-Pohjanmaa',
+        codes: [
+            '009', '069', '071', '072', '139', '208', '244', '305', '317', '425', '436', '483', '494', '535', '563',
+            '564', '615', '625', '626', '630', '678', '691', '746', '748', '785', '791', '832', '859', '889', '977'
+        ]
+    }
+];
+
+// Keyboard actions in the order the shortcut overlay lists them, with their default keys
+const KEY_BINDING_ACTIONS = [
+    { action: 'focusLeft', label: 'Focus camera to the left', key: 'ArrowLeft' },
+    { action: 'focusRight', label: 'Focus camera to the right', key: 'ArrowRight' },
+    { action: 'focusUp', label: 'Focus camera above', key: 'ArrowUp' },
+    { action: 'focusDown', label: 'Focus camera below', key: 'ArrowDown' },
+    { action: 'openCamera', label: 'Open focused camera', key: 'Enter' },
+    { action: 'toggleLock', label: 'Pin or unpin focused camera', key: 'l' },
+    { action: 'toggleCycling', label: 'Pause or resume cycling', key: ' ' },
+    { action: 'nextCycle', label: 'Next cameras', key: 'n' },
+    { action: 'previousCycle', label: 'Previous cameras', key: 'p' },
+    { action: 'showHelp', label: 'Show keyboard shortcuts', key: '?' }
+];
+
+// Camera health tracking
+const HEALTH_STORAGE_KEY = 'ouluWebCams.health';
+const HEALTH_AGE_SAMPLES = 50; // Age observations kept per preset
+const HEALTH_FAILURE_THRESHOLD = 3; // Consecutive load failures before a camera counts as failing
+const HEALTH_SAVE_DELAY = 30000; // Health changes are written to storage at most this often
+
+// Frame analysis, on the 0-255 luminance of a downscaled copy of each new frame
+const FRAME_SAMPLE_SIZE = 32; // Frames are measured at this many pixels square
+const FRAME_BLACK_LUMINANCE = 20;
+const FRAME_OVEREXPOSED_LUMINANCE = 235;
+const FRAME_FEATURELESS_DEVIATION = 8; // Snow, fog or a covered lens
+const FRAME_FROZEN_HASH_DISTANCE = 2; // Hash bits that may differ for the same picture (recompression)
+const FRAME_FROZEN_REPEATS = 2; // New timestamps showing the same picture before a camera counts as frozen
+const FRAME_ISSUE_RECHECK = 30 * 60000; // Skipped cameras come back for another look after this long
+const FRAME_ISSUE_LABELS = {
+    frozen: 'Frozen',
+    black: 'Black',
+    overexposed: 'Overexposed',
+    featureless: 'Obscured'
+};
+
+// Failed tiles retry with exponential backoff, then move on to another camera
+const TILE_RETRY_DELAY = 5000; // First retry after a failed image load
+const TILE_RETRY_MAX_DELAY = 60000;
+const TILE_MAX_FAILURES = 3; // Failed loads before the tile swaps in the next camera
+
+// Image history (timelapse) storage
+const HISTORY_DB_NAME = 'ouluWebCams.history';
+const TIMELAPSE_FRAME_INTERVAL = 400; // ms per frame during playback
+const HISTORY_FRAME_QUALITY = 0.85; // JPEG quality of stored frames
+
+// Freshness-weighted cycling: a camera's weight halves with every this many
+// minutes of image age, down to a floor so old images still come up now and then
+const CYCLE_FRESHNESS_HALF_LIFE = 30;
+const CYCLE_MIN_FRESHNESS_WEIGHT = 0.05;
+const CYCLE_MIN_STAGGER_INTERVAL = 500; // Fastest per-tile step in staggered cycling (ms)
+const CYCLE_PROGRESS_INTERVAL = 200; // Countdown bar update rate (ms)
+
+// Cycle page transition length; keep in sync with the animations in css.css
+const CYCLE_TRANSITION_DURATION = 600;
+
+// Detail modal zoom limit (image scale)
+const MODAL_MAX_ZOOM = 8;
+
+// Last successful camera list, stored next to the service worker caches (see sw.js)
+const SNAPSHOT_CACHE = 'ouluwebcams-data';
+const SNAPSHOT_URL = 'camera-snapshot.json';
+
+// URL query parameters that describe the shareable view
+const VIEW_URL_PARAMS = [
+    'view', 'count', 'layout', 'mode', 'municipality', 'station', 'group', 'near', 'radius',
+    'q', 'in', 'age', 'multi', 'locks', 'camera'
+];
+
+/**
+ * Single scheduler for everything that fetches: periodic image checks, full
+ * camera reloads and cycling. Tasks run one at a time so they never race,
+ * failing tasks retry with jittered exponential backoff, and everything pauses
+ * while the tab is hidden or the browser is offline. limit() bounds the number
+ * of concurrent network requests.
+ */
+class RefreshScheduler {
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent || 4;
+        this.retryDelay = options.retryDelay || 15000; // First retry after a failure
+        this.maxBackoff = options.maxBackoff || 10 * 60000;
+        this.onTaskError = options.onTaskError || (() => {});
+        this.onBackoffChange = options.onBackoffChange || (() => {});
+
+        this.tasks = new Map();
+        this.queue = [];
+        this.running = null;
+        this.pauseReasons = new Set();
+
+        this.activeRequests = 0;
+        this.waitingRequests = [];
     }
 
-    getMunicipalityForCamera(lat, lon) {
-        if (!this.municipalityData) return 'Unknown';
-
-        try {
-            const point = turf.point([lon, lat]);
+    addTask(name, interval, run, { backoff = true } = {}) {
+        this.removeTask(name);
 
-            for (const feature of this.municipalityData.features) {
-                if (feature.geometry && feature.geometry.type === 'Polygon') {
-                    const polygon = turf.polygon(feature.geometry.coordinates);
-                    if (turf.booleanPointInPolygon(point, polygon)) {
-                        return feature.properties.nimi || 'Unknown';
-                    }
-                } else if (feature.geometry && feature.geometry.type === 'MultiPolygon') {
-                    const multiPolygon = turf.multiPolygon(feature.geometry.coordinates);
-                    if (turf.booleanPointInPolygon(point, multiPolygon)) {
-                        return feature.properties.nimi || 'Unknown';
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error determining municipality:', error);
-        }
+        const task = { name, interval, run, backoff, failures: 0, timer: null, nextRun: 0 };
+        this.tasks.set(name, task);
+        this.schedule(task, interval);
+    }
 
-        return 'Unknown';
+    hasTask(name) {
+        return this.tasks.has(name);
     }
 
-    filterCameras(cameras) {
-        let filtered = [...cameras];
+    removeTask(name) {
+        const task = this.tasks.get(name);
+        if (!task) return;
 
-        // Filter old cameras if enabled
-        if (this.config.dropOldCameras) {
-            const fourHoursAgo = new Date(Date.now() - 4 * 60 * 60 * 1000);
-            filtered = filtered.filter(camera => camera.measuredTime > fourHoursAgo);
-        }
+        clearTimeout(task.timer);
+        this.tasks.delete(name);
+        this.queue = this.queue.filter(queued => queued !== task);
+    }
 
-        // Sort by freshness (newest first)
-        filtered.sort((a, b) => b.measuredTime - a.measuredTime);
+    // Time (ms) of a task's next scheduled run, or null while it is queued or running
+    getNextRun(name) {
+        const task = this.tasks.get(name);
+        if (!task || this.running === task || this.queue.includes(task)) return null;
+        return task.nextRun;
+    }
 
-        return filtered;
+    // Push a task's next run a full interval away, e.g. after a manual run
+    reset(name) {
+        const task = this.tasks.get(name);
+        if (task && !this.queue.includes(task)) this.schedule(task, task.interval);
     }
 
-    getImageAge(timestamp) {
-        const now = new Date();
-        const imageTime = new Date(timestamp);
-        const diffMs = now - imageTime;
-        const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-        const diffMins = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
+    // Run a task as soon as the queue allows, then continue on its interval
+    runNow(name) {
+        const task = this.tasks.get(name);
+        if (task) this.enqueue(task);
+    }
 
-        if (diffHours > 0) {
-            return `${diffHours}h ${diffMins}m ago`;
+    schedule(task, delay) {
+        clearTimeout(task.timer);
+        task.timer = null;
+        task.nextRun = Date.now() + delay;
+
+        if (!this.isPaused()) {
+            task.timer = setTimeout(() => this.enqueue(task), delay);
         }
-        return `${diffMins}m ago`;
     }
 
-    populateSelectors() {
-        // Populate municipality selector
-        const municipalities = [...new Set(this.cameras.map(c => c.municipality))].sort();
-        const municipalitySelect = document.getElementById('selectedMunicipality');
-        municipalitySelect.innerHTML = '<option value="">All Municipalities</option>';
-        municipalities.forEach(municipality => {
-            const option = document.createElement('option');
-            option.value = municipality;
-            option.textContent = municipality;
-            municipalitySelect.appendChild(option);
-        });
+    enqueue(task) {
+        clearTimeout(task.timer);
+        task.timer = null;
 
-        // Populate station selector  
-        const stations = [...new Set(this.cameras.map(c => c.stationName))].sort();
-        const stationSelect = document.getElementById('selectedStation');
-        stationSelect.innerHTML = '<option value="">All Stations</option>';
-        stations.forEach(station => {
-            const option = document.createElement('option');
-            option.value = station;
-            option.textContent = station.replace(/_/g, ' ');
-            stationSelect.appendChild(option);
-        });
+        if (this.tasks.get(task.name) !== task) return;
+        if (!this.queue.includes(task)) this.queue.push(task);
+        this.drain();
     }
 
-    getFilteredCameras() {
-        let filtered = [...this.cameras];
-
-        switch (this.config.cyclingMode) {
-            case 'municipality':
-                if (this.config.selectedMunicipality) {
-                    filtered = filtered.filter(c => c.municipality === this.config.selectedMunicipality);
-                }
-                break;
-            case 'station':
-                if (this.config.selectedStation) {
-                    filtered = filtered.filter(c => c.stationName === this.config.selectedStation);
-                }
-                break;
-        }
+    async drain() {
+        if (this.running || this.isPaused()) return;
 
-        return filtered;
-    }
+        const task = this.queue.shift();
+        if (!task) return;
 
-    getOptimalGridSize(cameraCount) {
-        // Find the smallest standard grid size that can accommodate the cameras
-        const standardGridSizes = [1, 2, 4, 6, 8, 12, 16];
+        this.running = task;
+        const startedAt = Date.now();
+        let delay = task.interval;
 
-        for (const gridSize of standardGridSizes) {
-            if (cameraCount <= gridSize) {
-                return gridSize;
+        try {
+            await task.run();
+            task.failures = 0;
+            // Intervals count from the start of a run, so slow runs don't make the cycle drift
+            delay = Math.max(task.interval - (Date.now() - startedAt), 0);
+        } catch (error) {
+            task.failures++;
+            if (task.backoff) {
+                delay = this.getBackoffDelay(task);
             }
+            console.warn(`Task "${task.name}" failed (${task.failures}x), retrying in ${Math.round(delay / 1000)}s:`, error);
+            this.onTaskError(task.name, error, delay);
+        } finally {
+            this.running = null;
         }
 
-        return 16; // Max grid size
+        // The task may have been removed or replaced while it ran
+        if (this.tasks.get(task.name) === task) {
+            this.schedule(task, delay);
+        }
+
+        this.onBackoffChange(this.isBackingOff());
+        this.drain();
     }
 
-    renderCameras() {
-        const grid = document.getElementById('cameraGrid');
-        const availableCameras = this.getFilteredCameras();
+    // Exponential backoff with "equal jitter": half fixed, half random
+    getBackoffDelay(task) {
+        const exponential = Math.min(this.retryDelay * 2 ** (task.failures - 1), this.maxBackoff);
+        return exponential / 2 + Math.random() * exponential / 2;
+    }
 
-        // Use configured count but limit to available cameras
-        const requestedCount = this.config.cameraCount;
-        const actualCameraCount = Math.min(requestedCount, availableCameras.length);
+    isBackingOff() {
+        return [...this.tasks.values()].some(task => task.failures > 0);
+    }
 
-        if (availableCameras.length === 0) {
-            this.showNoCamerasMessage();
-            return;
-        }
+    pause(reason) {
+        this.pauseReasons.add(reason);
+        this.tasks.forEach(task => {
+            clearTimeout(task.timer);
+            task.timer = null;
+        });
+    }
 
-        // Use optimal grid size to minimize empty placeholders
-        const optimalGridSize = this.getOptimalGridSize(actualCameraCount);
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+        if (this.isPaused()) return;
 
-        // Update grid class based on optimal grid size
-        let gridClass = `bc-grid bc-gap-4 bc-h-full grid-${optimalGridSize}`;
-        
-        // Add mobile-specific class if on mobile
-        if (this.isMobile) {
-            gridClass += ' mobile-optimized';
-        }
-        
-        grid.className = gridClass;
+        // Tasks that came due while paused run right away
+        const now = Date.now();
+        this.tasks.forEach(task => {
+            if (!this.queue.includes(task)) {
+                this.schedule(task, Math.max(task.nextRun - now, 0));
+            }
+        });
+        this.drain();
+    }
 
-        // Clear existing cameras
-        grid.innerHTML = '';
+    isPaused() {
+        return this.pauseReasons.size > 0;
+    }
 
-        // Create camera containers for available cameras
-        for (let i = 0; i < actualCameraCount; i++) {
-            const container = this.createCameraContainer(i);
-            grid.appendChild(container);
+    /**
+     * Run fn once fewer than maxConcurrent limited calls are in flight
+     */
+    async limit(fn) {
+        if (this.activeRequests < this.maxConcurrent) {
+            this.activeRequests++;
+        } else {
+            // The finishing request hands its slot over
+            await new Promise(resolve => this.waitingRequests.push(resolve));
         }
 
-        // Add empty placeholders only to fill the optimal grid (minimal placeholders)
-        for (let i = actualCameraCount; i < optimalGridSize; i++) {
-            const placeholder = this.createCameraPlaceholder(i);
-            grid.appendChild(placeholder);
+        try {
+            return await fn();
+        } finally {
+            const next = this.waitingRequests.shift();
+            if (next) {
+                next();
+            } else {
+                this.activeRequests--;
+            }
         }
-
+    }
+}
+
+class OuluWebCams {
+    constructor() {
+        this.cameras = [];
+        this.allCameras = []; // Store original unfiltered cameras
+        this.municipalityData = null; // Full GeoJSON, only loaded when the geo worker is unavailable
+        this.municipalityIndex = null; // Main-thread fallback when the geo worker is unavailable
+        this.municipalities = []; // { code, name } of every municipality
+        this.mapBoundaries = null; // Boundaries around the stations, from the geo worker
+        this.mapBoundaryRequest = null;
+        this.municipalityCache = new Map(); // cameraId -> { lat, lon, municipality }
+        this.geoWorker = null;
+        this.geoRequests = new Map();
+        this.geoRequestId = 0;
+        this.currentImages = [];
+        this.tileLoads = new Map(); // Tile index -> presetId of the image being loaded
+        this.tileRetries = new Map(); // Tile index -> { presetId, failures, timer, countdown }
+        this.prefetchedImages = new Map(); // Image URL -> load promise for the current and next page
+        this.opaqueImageOrigins = new Set(); // Image hosts without CORS headers, loaded without crossOrigin
+        this.pageSwapId = 0; // Latest requested page swap; older ones are dropped
+        this.currentCycleIndex = 0; // Position in the cycle order (see getCycleOrder)
+        this.cycleSequences = new Map(); // Pass number -> camera order for that pass
+        this.cycleSequenceKey = null;
+        this.cycleSeed = Math.floor(Math.random() * 2 ** 32);
+        this.cycleTaskInterval = null;
+        this.cycleProgressTimer = null;
+        this.lockedCameras = new Map(); // Pinned preset ID -> tile index
+        this.cameraGroups = []; // User-defined camera groups { id, name, presetIds }
+        this.editingGroup = null;
+        this.cameraHealth = new Map(); // presetId -> health record
+        this.healthSaveTimer = null;
+        this.healthSort = { column: 'status', direction: 1 };
+        this.focusedTileIndex = null; // Tile slot last focused from the keyboard
+        this.capturingBinding = null; // Action waiting for a new key in the shortcut overlay
+        this.pickingProximityPoint = false;
+        this.historyDbPromise = null;
+        this.lastRecordedFrames = new Map(); // presetId -> last stored measuredTime
+        this.timelapseFrames = [];
+        this.timelapseTimer = null;
+        this.lastFullUpdate = null;
+        this.offlineSnapshotTime = null; // Set while showing the saved snapshot instead of live data
+        this.modalCamera = null; // Camera shown in the detail modal
+        this.modalZoom = { scale: 1, x: 0, y: 0 };
+        this.pendingModalPresetId = null; // Modal requested by the URL before cameras loaded
+        this.applyingViewState = false;
+        this.isMobile = this.detectMobile(); // Add mobile detection
+
+        // Configuration
+        this.config = {
+            cameraCount: 4,
+            cycling: false,
+            cyclingInterval: 5000,
+            cyclingMode: 'all',
+            cycleTransition: 'crossfade', // 'crossfade', 'slide' or 'none'
+            cycleStrategy: 'sequential', // 'sequential', 'shuffle', 'freshness' or 'priority'
+            cycleStagger: false, // Rotate tiles one at a time instead of flipping the whole grid
+            cameraPriorities: {}, // presetId -> cycling weight (1 when missing)
+            selectedMunicipalities: [], // Empty means all
+            selectedStations: [], // Empty means all
+            selectedGroup: '',
+            proximityTarget: 'point', // 'point' or 'route'
+            proximityPoint: null, // { lat, lon }
+            proximityRadius: 10, // km, also the route buffer
+            proximityRoute: null, // LineString coordinates [[lon, lat], ...]
+            stalePolicy: 'hide', // What to do with stale images: 'hide', 'dim', 'badge' or 'show'
+            imageIssuePolicy: 'badge', // Frozen, black or obscured frames: 'badge', 'skip' (in cycling) or 'off'
+            staleHours: 4,
+            autoHideControls: true,
+            viewMode: 'grid',
+            historyLimit: 60, // Frames kept per preset, 0 disables history
+            keyBindings: this.getDefaultKeyBindings(), // action -> key
+            filterQuery: '', // Free-text search
+            filterMunicipalities: [], // Municipality facet, empty means all
+            filterAge: '', // Image age range in minutes, e.g. "15-60" or "240-"
+            filterMultiPreset: false, // Only stations with more than one preset
+            gridLayout: 'auto', // 'auto' for uniform grids, otherwise a GRID_LAYOUTS id
+            tileOrder: [], // Screen position of each tile
+            layoutPresets: [], // Saved { name, gridLayout, cameraCount, tileOrder, featuredPresetId }
+            weatherOverlay: false, // Road weather readings on tiles and in the modal
+            weatherMaxDistance: 10, // km from a camera to its weather station
+            hideTimeout: 2000,
+            imageCache: new Map(),
+            rateLimitBackoff: false,
+            dataSource: this.resolveDataSource()
+        };
+
+        this.wall = this.resolveWallRole();
+        this.weatherSource = this.resolveWeatherSource();
+        this.weatherStations = [];
+        this.cameraWeather = new Map(); // cameraId -> nearest weather station reading
+
+        this.scheduler = new RefreshScheduler({
+            maxConcurrent: 4,
+            onTaskError: (name, error, delay) => {
+                this.updateStatus(`Update failed, retrying in ${Math.round(delay / 1000)}s`, 'error');
+            },
+            onBackoffChange: (backingOff) => {
+                this.config.rateLimitBackoff = backingOff;
+            }
+        });
+
+        this.hideControlsTimer = null;
+        this.uiHidden = false;
+        this.init();
+    }
+
+    // Mobile detection method
+    detectMobile() {
+        const userAgent = navigator.userAgent || navigator.vendor || window.opera;
+        const screenWidth = window.screen.width;
+        
+        // Check for mobile user agents and screen size
+        return (
+            /android|webos|iphone|ipad|ipod|blackberry|iemobile|opera mini/i.test(userAgent) ||
+            screenWidth <= 480 ||
+            (window.matchMedia && window.matchMedia("(max-width: 480px)").matches)
+        );
+    }
+
+    /**
+     * Resolve which camera data source to use.
+     * Defaults can be overridden with a global `OULU_WEBCAMS_DATA_SOURCE = { type, endpoint }`
+     * defined before js.js, or with the `source` and `endpoint` URL parameters.
+     */
+    resolveDataSource() {
+        const dataSource = { type: 'oulunliikenne', endpoint: null };
+
+        if (typeof OULU_WEBCAMS_DATA_SOURCE !== 'undefined') {
+            Object.assign(dataSource, OULU_WEBCAMS_DATA_SOURCE);
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('source')) dataSource.type = params.get('source');
+        if (params.has('endpoint')) dataSource.endpoint = params.get('endpoint');
+
+        if (!CAMERA_DATA_SOURCES[dataSource.type]) {
+            console.warn(`Unknown data source "${dataSource.type}", falling back to oulunliikenne`);
+            dataSource.type = 'oulunliikenne';
+        }
+
+        dataSource.endpoint = dataSource.endpoint || CAMERA_DATA_SOURCES[dataSource.type].defaultEndpoint;
+        return dataSource;
+    }
+
+    /**
+     * Restore config and locked presets from localStorage, migrating older schemas
+     */
+    loadSettings() {
+        let settings;
+
+        try {
+            const stored = localStorage.getItem(SETTINGS_STORAGE_KEY);
+            if (!stored) return;
+            settings = JSON.parse(stored);
+        } catch (error) {
+            console.warn('Ignoring unreadable saved settings:', error);
+            return;
+        }
+
+        // Settings have been versioned since they were first saved, anything else is not ours
+        if (!settings || !Number.isInteger(settings.version) || !settings.config) {
+            console.warn('Ignoring saved settings without a version, using defaults');
+            return;
+        }
+
+        let version = settings.version;
+
+        while (version < SETTINGS_VERSION) {
+            const migrate = SETTINGS_MIGRATIONS[version];
+            if (!migrate) {
+                console.warn(`No migration from settings version ${version}, using defaults`);
+                return;
+            }
+            settings = migrate(settings);
+            version = settings.version;
+        }
+
+        if (version > SETTINGS_VERSION) {
+            console.warn(`Saved settings version ${version} is newer than supported, using defaults`);
+            return;
+        }
+
+        PERSISTED_CONFIG_KEYS.forEach(key => {
+            if (!(key in settings.config)) return;
+
+            if (this.isValidSetting(key, settings.config[key])) {
+                this.config[key] = settings.config[key];
+            } else {
+                console.warn(`Ignoring invalid saved ${key}:`, settings.config[key]);
+            }
+        });
+
+        Object.entries(settings.pinnedPresets || {}).forEach(([presetId, index]) => {
+            if (Number.isInteger(index) && index >= 0) {
+                this.lockedCameras.set(presetId, index);
+            }
+        });
+
+        this.cameraGroups = Array.isArray(settings.groups) ? settings.groups : [];
+
+        // Actions added since the bindings were saved get their default keys
+        this.config.keyBindings = { ...this.getDefaultKeyBindings(), ...this.config.keyBindings };
+
+        console.log('Restored saved settings (version', version + ')');
+    }
+
+    // A saved value must have the default's type and, for dropdowns, be one of the options
+    isValidSetting(key, value) {
+        const fallback = this.config[key];
+        if (fallback === null) {
+            return value === null || typeof value === 'object';
+        }
+        if (value === null || typeof value !== typeof fallback || Array.isArray(value) !== Array.isArray(fallback)) {
+            return false;
+        }
+
+        // Group options are built from the saved groups, which are restored afterwards
+        const control = document.getElementById(key);
+        if (control && control.tagName === 'SELECT' && key !== 'selectedGroup') {
+            return this.isSelectOption(key, value);
+        }
+
+        return true;
+    }
+
+    isSelectOption(selectId, value) {
+        return this.getSelectableOptions(selectId).some(option => option.value === String(value));
+    }
+
+    // Options of a select, without those hidden on mobile
+    getSelectableOptions(selectId) {
+        return Array.from(document.getElementById(selectId).options)
+            .filter(option => !option.classList.contains('mobile-hidden'));
+    }
+
+    saveSettings() {
+        // A view restored from browser history is not a settings change
+        if (this.applyingViewState) return;
+
+        // Displays follow the controller, whose settings are the ones to keep
+        if (this.isWallDisplay()) return;
+
+        const config = {};
+        PERSISTED_CONFIG_KEYS.forEach(key => {
+            config[key] = this.config[key];
+        });
+
+        const settings = {
+            version: SETTINGS_VERSION,
+            config,
+            pinnedPresets: Object.fromEntries(this.lockedCameras),
+            groups: this.cameraGroups
+        };
+
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('Failed to save settings:', error);
+        }
+    }
+
+    // Reflect the (possibly restored) config in the settings form
+    syncControls() {
+        document.getElementById('cameraCount').value = String(this.config.cameraCount);
+        document.getElementById('cyclingInterval').value = String(this.config.cyclingInterval);
+        document.getElementById('cyclingMode').value = this.config.cyclingMode;
+        document.getElementById('cycleTransition').value = this.config.cycleTransition;
+        document.getElementById('cycleStrategy').value = this.config.cycleStrategy;
+        document.getElementById('cycleStagger').checked = this.config.cycleStagger;
+        this.syncCheckboxOptions('selectedMunicipalities', this.config.selectedMunicipalities);
+        this.syncCheckboxOptions('selectedStations', this.config.selectedStations);
+        this.populateGroupSelector();
+        this.syncProximityControls();
+        document.getElementById('historyLimit').value = String(this.config.historyLimit);
+        document.getElementById('stalePolicy').value = this.config.stalePolicy;
+        document.getElementById('imageIssuePolicy').value = this.config.imageIssuePolicy;
+        document.getElementById('staleHours').value = String(this.config.staleHours);
+        document.getElementById('autoHideControls').checked = this.config.autoHideControls;
+        this.syncFilterControls();
+        this.syncLayoutControls();
+
+        this.updateModeSelectors();
+        this.updateCycleTimeOptions();
+        this.setViewMode(this.config.viewMode);
+
+        document.getElementById('weatherOverlay').checked = this.config.weatherOverlay;
+        document.getElementById('weatherMaxDistance').value = String(this.config.weatherMaxDistance);
+        if (this.config.weatherOverlay !== this.scheduler.hasTask('weather')) {
+            this.setWeatherOverlay(this.config.weatherOverlay);
+        }
+
+        if (this.config.cycling && !this.scheduler.hasTask('cycle') && !this.isWallDisplay()) {
+            this.startCycling();
+        } else {
+            this.updateCyclingButton();
+        }
+    }
+
+    /**
+     * Read the shareable view state from the URL query string
+     */
+    parseUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const state = {};
+
+        if (params.has('view')) state.viewMode = params.get('view');
+        if (params.has('count')) state.cameraCount = parseInt(params.get('count'));
+        if (params.has('layout')) state.gridLayout = params.get('layout');
+        if (params.has('mode')) state.cyclingMode = params.get('mode');
+        if (params.has('municipality')) state.selectedMunicipalities = params.getAll('municipality');
+        if (params.has('station')) state.selectedStations = params.getAll('station');
+        if (params.has('group')) state.selectedGroup = params.get('group');
+        if (params.has('radius')) state.proximityRadius = parseFloat(params.get('radius'));
+        if (params.has('q')) state.filterQuery = params.get('q');
+        if (params.has('in')) state.filterMunicipalities = params.get('in').split(',').filter(Boolean);
+        if (params.has('age')) state.filterAge = params.get('age');
+        if (params.has('multi')) state.filterMultiPreset = params.get('multi') === '1';
+
+        if (params.has('near')) {
+            const [lat, lon] = params.get('near').split(',').map(parseFloat);
+            if (Number.isFinite(lat) && Number.isFinite(lon)) {
+                state.proximityPoint = { lat, lon };
+            }
+        }
+        if (params.has('camera')) state.modalPresetId = params.get('camera');
+
+        if (params.has('locks')) {
+            // Format: tileIndex:presetId,tileIndex:presetId
+            // A tile holds one camera and a camera one tile, the first entry wins
+            const usedIndexes = new Set();
+            const usedPresets = new Set();
+            state.locks = params.get('locks').split(',')
+                .map(entry => entry.match(/^(\d+):(.+)$/))
+                .filter(Boolean)
+                .map(([, index, presetId]) => [parseInt(index), presetId])
+                .filter(([index, presetId]) => {
+                    if (usedIndexes.has(index) || usedPresets.has(presetId)) return false;
+                    usedIndexes.add(index);
+                    usedPresets.add(presetId);
+                    return true;
+                });
+        }
+
+        return state;
+    }
+
+    getViewState() {
+        return {
+            viewMode: this.config.viewMode,
+            cameraCount: this.config.cameraCount,
+            gridLayout: this.config.gridLayout,
+            cyclingMode: this.config.cyclingMode,
+            selectedMunicipalities: this.config.selectedMunicipalities,
+            selectedStations: this.config.selectedStations,
+            selectedGroup: this.config.selectedGroup,
+            proximityTarget: this.config.proximityTarget,
+            proximityPoint: this.config.proximityPoint,
+            proximityRadius: this.config.proximityRadius,
+            filterQuery: this.config.filterQuery,
+            filterMunicipalities: this.config.filterMunicipalities,
+            filterAge: this.config.filterAge,
+            filterMultiPreset: this.config.filterMultiPreset,
+            locks: [...this.lockedCameras].map(([presetId, index]) => [index, presetId]),
+            modalPresetId: this.modalCamera ? this.modalCamera.presetId : null
+        };
+    }
+
+    /**
+     * Apply a (partial) view state to the config. Values that don't match an
+     * option in the settings form are ignored.
+     */
+    applyViewState(state) {
+        if ('viewMode' in state && ['grid', 'map'].includes(state.viewMode)) {
+            this.config.viewMode = state.viewMode;
+        }
+        if ('cameraCount' in state && this.isSelectOption('cameraCount', state.cameraCount)) {
+            this.config.cameraCount = state.cameraCount;
+        }
+        if ('gridLayout' in state && this.isSelectOption('gridLayout', state.gridLayout)) {
+            this.config.gridLayout = state.gridLayout;
+        }
+        if ('cyclingMode' in state && this.isSelectOption('cyclingMode', state.cyclingMode)) {
+            this.config.cyclingMode = state.cyclingMode;
+        }
+        if (Array.isArray(state.selectedMunicipalities)) {
+            this.config.selectedMunicipalities = state.selectedMunicipalities;
+        }
+        if (Array.isArray(state.selectedStations)) {
+            this.config.selectedStations = state.selectedStations;
+        }
+        if ('selectedGroup' in state) {
+            this.config.selectedGroup = state.selectedGroup;
+        }
+        if (state.proximityPoint) {
+            this.config.proximityPoint = state.proximityPoint;
+            this.config.proximityTarget = 'point';
+        }
+        if ('proximityTarget' in state && ['point', 'route'].includes(state.proximityTarget)) {
+            this.config.proximityTarget = state.proximityTarget;
+        }
+        if ('proximityRadius' in state && this.isSelectOption('proximityRadius', state.proximityRadius)) {
+            this.config.proximityRadius = state.proximityRadius;
+        }
+        if ('filterQuery' in state) {
+            this.config.filterQuery = state.filterQuery;
+        }
+        if (Array.isArray(state.filterMunicipalities)) {
+            this.config.filterMunicipalities = state.filterMunicipalities;
+        }
+        if ('filterAge' in state && this.isSelectOption('filterAge', state.filterAge)) {
+            this.config.filterAge = state.filterAge;
+        }
+        if ('filterMultiPreset' in state) {
+            this.config.filterMultiPreset = Boolean(state.filterMultiPreset);
+        }
+
+        if (state.locks) {
+            this.lockedCameras = new Map();
+            state.locks.forEach(([index, presetId]) => {
+                this.lockedCameras.set(presetId, index);
+            });
+        }
+
+        if ('modalPresetId' in state) {
+            this.pendingModalPresetId = state.modalPresetId;
+        }
+    }
+
+    buildViewUrl(state) {
+        const params = new URLSearchParams(window.location.search);
+        VIEW_URL_PARAMS.forEach(param => params.delete(param));
+
+        if (state.viewMode === 'map') {
+            params.set('view', 'map');
+        }
+        params.set('count', state.cameraCount);
+        if (state.gridLayout !== 'auto') {
+            params.set('layout', state.gridLayout);
+        }
+        params.set('mode', state.cyclingMode);
+
+        // One parameter per value, e.g. municipality=Oulu&municipality=Kempele
+        if (state.cyclingMode === 'municipality') {
+            state.selectedMunicipalities.forEach(municipality => params.append('municipality', municipality));
+        }
+        if (state.cyclingMode === 'station') {
+            state.selectedStations.forEach(station => params.append('station', station));
+        }
+        if (state.cyclingMode === 'group' && state.selectedGroup) {
+            params.set('group', state.selectedGroup);
+        }
+        // Routes are too long for a URL, only the reference point is shared
+        if (state.cyclingMode === 'proximity' && state.proximityTarget === 'point' && state.proximityPoint) {
+            params.set('near', `${state.proximityPoint.lat.toFixed(5)},${state.proximityPoint.lon.toFixed(5)}`);
+            params.set('radius', state.proximityRadius);
+        }
+        if (state.filterQuery) {
+            params.set('q', state.filterQuery);
+        }
+        if (state.filterMunicipalities.length > 0) {
+            params.set('in', state.filterMunicipalities.join(','));
+        }
+        if (state.filterAge) {
+            params.set('age', state.filterAge);
+        }
+        if (state.filterMultiPreset) {
+            params.set('multi', '1');
+        }
+        if (state.locks.length > 0) {
+            params.set('locks', state.locks.map(([index, presetId]) => `${index}:${presetId}`).join(','));
+        }
+        if (state.modalPresetId) {
+            params.set('camera', state.modalPresetId);
+        }
+
+        return `${window.location.pathname}?${params.toString()}${window.location.hash}`;
+    }
+
+    /**
+     * Mirror the current view in the URL. Each change becomes a history entry
+     * so back/forward moves between views.
+     */
+    updateUrl(replace = false) {
+        if (this.applyingViewState) return;
+
+        const state = this.getViewState();
+        const url = this.buildViewUrl(state);
+        const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+        if (replace) {
+            history.replaceState(state, '', url);
+        } else if (url !== currentUrl) {
+            history.pushState(state, '', url);
+        }
+    }
+
+    // Restore a view from browser history (back/forward)
+    handlePopState(event) {
+        const state = event.state || this.parseUrlState();
+
+        this.applyingViewState = true;
+        try {
+            this.applyViewState({ locks: [], modalPresetId: null, ...state });
+            this.syncControls();
+            this.renderPinnedList();
+            this.renderCameras();
+
+            if (this.pendingModalPresetId) {
+                this.openPendingModal();
+            } else {
+                this.closeModal();
+            }
+        } finally {
+            this.applyingViewState = false;
+        }
+    }
+
+    openPendingModal() {
+        if (!this.pendingModalPresetId) return;
+
+        const camera = this.cameras.find(c => c.presetId === this.pendingModalPresetId);
+        this.pendingModalPresetId = null;
+
+        if (camera) {
+            this.openCameraModal(camera);
+        }
+    }
+
+    /**
+     * Offline support: register the service worker and keep a snapshot of the
+     * last successful camera list next to its caches
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => console.log('Service worker registered:', registration.scope))
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+
+    async saveSnapshot(records) {
+        if (typeof caches === 'undefined') return;
+
+        try {
+            const cache = await caches.open(SNAPSHOT_CACHE);
+            const snapshot = { savedAt: new Date().toISOString(), records };
+            await cache.put(SNAPSHOT_URL, new Response(JSON.stringify(snapshot), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+        } catch (error) {
+            console.warn('Failed to save camera snapshot:', error);
+        }
+    }
+
+    /**
+     * Render the last saved camera list when the data source can't be reached.
+     * Returns false when there is no snapshot.
+     */
+    async restoreSnapshot() {
+        if (typeof caches === 'undefined') return false;
+
+        try {
+            const response = await caches.match(SNAPSHOT_URL, { cacheName: SNAPSHOT_CACHE });
+            if (!response) return false;
+
+            const snapshot = await response.json();
+            this.offlineSnapshotTime = new Date(snapshot.savedAt);
+
+            await this.resolveMunicipalities(snapshot.records);
+            this.processCameras(snapshot.records);
+            this.showOfflineBanner();
+
+            console.log('Rendering camera snapshot from', snapshot.savedAt);
+            return true;
+        } catch (error) {
+            console.error('Failed to restore camera snapshot:', error);
+            return false;
+        }
+    }
+
+    showOfflineBanner() {
+        const banner = document.getElementById('offlineBanner');
+        const time = this.offlineSnapshotTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        banner.textContent = `Offline – showing data from ${time}`;
+        banner.classList.remove('hidden');
+    }
+
+    hideOfflineBanner() {
+        document.getElementById('offlineBanner').classList.add('hidden');
+    }
+
+    async init() {
+        console.log('Initializing Oulu WebCams...');
+
+        // Check if Turf is available
+        if (typeof turf === 'undefined') {
+            console.error('Turf.js is not loaded! Geospatial calculations will fail.');
+            this.updateStatus('Turf.js library not loaded', 'error');
+            return;
+        } else {
+            console.log('Turf.js loaded successfully');
+        }
+
+        // Restore saved settings before the first render, then apply any deep link on top
+        this.loadSettings();
+        this.loadHealth();
+        this.applyViewState(this.parseUrlState());
+
+        this.registerServiceWorker();
+
+        try {
+            await this.loadMunicipalityData();
+
+            try {
+                await this.loadCameras();
+            } catch (error) {
+                // Fall back to the last known-good camera list
+                if (!(await this.restoreSnapshot())) throw error;
+            }
+
+            this.setupEventListeners();
+            this.startWallMode();
+            this.syncControls();
+            this.syncWallControls();
+            this.renderPinnedList();
+            this.openPendingModal();
+            this.updateUrl(true);
+            this.setupMobileRestrictions(); // Add mobile-specific setup
+            this.setupAutoHide();
+            this.startPeriodicUpdates();
+
+            if (this.offlineSnapshotTime) {
+                // Keep retrying the live data (with backoff) until it reconciles
+                this.updateStatus('Data source unreachable, showing snapshot', 'error');
+                this.scheduler.runNow('cameras');
+            } else {
+                this.updateStatus('Ready', 'success');
+            }
+        } catch (error) {
+            console.error('Initialization failed:', error);
+            this.updateStatus('Failed to initialize', 'error');
+        }
+    }
+
+    async loadMunicipalityData() {
+        this.updateStatus('Loading municipality data...', 'loading');
+
+        // The geo worker owns the GeoJSON; the page only parses it when there is no worker
+        if (typeof Worker !== 'undefined' && await this.startGeoWorker()) {
+            try {
+                this.municipalities = await this.geoRequest('municipalities');
+                return;
+            } catch (error) {
+                console.warn('Geo worker failed, using main thread:', error.message);
+                this.stopGeoWorker(error);
+            }
+        }
+
+        await this.loadMunicipalityGeoJson();
+    }
+
+    async loadMunicipalityGeoJson() {
+        try {
+            const response = await fetch(MUNICIPALITY_DATA_URL, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+            if (!response.ok) throw new Error('Failed to load municipality data');
+
+            this.municipalityData = await response.json();
+            console.log('Municipality data loaded:', this.municipalityData.features.length, 'municipalities');
+
+            this.municipalities = this.municipalityData.features.map(feature => ({
+                code: feature.properties.kunta,
+                name: feature.properties.nimi
+            }));
+            this.municipalityIndex = new MunicipalityIndex(this.municipalityData);
+        } catch (error) {
+            console.error('Error loading municipality data:', error);
+            throw error;
+        }
+    }
+
+    async loadCameras() {
+        try {
+            this.updateStatus('Loading cameras...', 'loading');
+
+            const { type, endpoint } = this.config.dataSource;
+            console.log(`Fetching cameras from ${type} data source (${endpoint})...`);
+
+            const records = await this.scheduler.limit(() => CAMERA_DATA_SOURCES[type].load(endpoint));
+            console.log('Received', records.length, 'camera presets');
+
+            await this.resolveMunicipalities(records);
+
+            this.processCameras(records);
+            this.assignWeather();
+            this.lastFullUpdate = new Date();
+            this.saveSnapshot(records);
+
+            if (this.offlineSnapshotTime) {
+                console.log('Live data is back, replaced the offline snapshot');
+                this.offlineSnapshotTime = null;
+                this.hideOfflineBanner();
+            }
+
+        } catch (error) {
+            console.error('Error loading cameras:', error);
+            this.updateStatus(`Failed to load cameras: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    processCameras(records) {
+        console.log('Processing', records.length, 'camera presets...');
+
+        const processedCameras = records.map(record => {
+            return {
+                ...record,
+                municipality: this.getStationMunicipality(record),
+                measuredTime: new Date(record.measuredTime),
+                age: this.getImageAge(record.measuredTime)
+            };
+        });
+
+        console.log('Processed', processedCameras.length, 'camera presets total');
+
+        // Store original unfiltered cameras
+        this.allCameras = processedCameras;
+        this.observeCameraHealth(processedCameras);
+        
+        // Filter cameras based on settings
+        this.cameras = this.filterCameras(processedCameras);
+
+        console.log(`After filtering: ${this.cameras.length} cameras available`);
+
+        this.populateSelectors();
+        this.renderCameras();
+        this.renderPinnedList();
+
+        if (this.config.viewMode === 'map') {
+            this.renderMap();
+        }
+
+        this.updateStatus(
+            `${this.cameras.length} cameras loaded`,
+            'success'
+        );
+    }
+
+    /**
+     * Start the geo worker that owns the municipality index. Falls back to the
+     * main thread when workers are unavailable (e.g. when opened from file://).
+     */
+    async startGeoWorker() {
+        try {
+            this.geoWorker = new Worker('geo-worker.js');
+            this.geoWorker.addEventListener('message', (e) => this.handleGeoMessage(e.data));
+            this.geoWorker.addEventListener('error', (e) => {
+                console.error('Geo worker error:', e.message);
+                this.stopGeoWorker(new Error('Geo worker failed'));
+            });
+
+            await this.geoRequest('init', {
+                url: MUNICIPALITY_DATA_URL,
+                timeout: FETCH_TIMEOUT,
+                turfUrl: document.querySelector('script[src*="@turf/turf"]').src
+            });
+            console.log('Municipality index built in geo worker');
+            return true;
+        } catch (error) {
+            console.warn('Geo worker unavailable, using main thread:', error.message);
+            this.stopGeoWorker(error);
+            return false;
+        }
+    }
+
+    stopGeoWorker(error) {
+        if (this.geoWorker) {
+            this.geoWorker.terminate();
+            this.geoWorker = null;
+        }
+
+        // Reject anything still waiting on the worker
+        this.geoRequests.forEach(({ reject }) => reject(error));
+        this.geoRequests.clear();
+    }
+
+    geoRequest(type, payload) {
+        return new Promise((resolve, reject) => {
+            const id = ++this.geoRequestId;
+            this.geoRequests.set(id, { resolve, reject });
+            this.geoWorker.postMessage({ id, type, payload });
+        });
+    }
+
+    handleGeoMessage({ id, result, error }) {
+        const request = this.geoRequests.get(id);
+        if (!request) return;
+
+        this.geoRequests.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * Resolve municipalities for stations not seen before (or that moved),
+     * in the geo worker when available. Results are memoized by cameraId
+     * across reloads.
+     */
+    async resolveMunicipalities(records) {
+        const stations = new Map();
+
+        records.forEach(record => {
+            const cached = this.municipalityCache.get(record.cameraId);
+            if (cached && cached.lat === record.lat && cached.lon === record.lon) return;
+            stations.set(record.cameraId, { cameraId: record.cameraId, lat: record.lat, lon: record.lon });
+        });
+
+        if (stations.size === 0) return;
+
+        if (this.geoWorker) {
+            try {
+                const result = await this.geoRequest('lookup', { stations: [...stations.values()] });
+
+                stations.forEach(station => {
+                    this.municipalityCache.set(station.cameraId, { ...station, municipality: result[station.cameraId] });
+                });
+                console.log('Resolved municipalities for', stations.size, 'stations in geo worker');
+                return;
+            } catch (error) {
+                console.warn('Geo worker lookup failed:', error.message);
+            }
+        }
+
+        // processCameras() resolves whatever is missing on the main thread, which then needs the GeoJSON
+        if (!this.municipalityData) {
+            await this.loadMunicipalityGeoJson().catch(() => {});
+        }
+    }
+
+    getStationMunicipality(record) {
+        const cached = this.municipalityCache.get(record.cameraId);
+        if (cached && cached.lat === record.lat && cached.lon === record.lon) {
+            return cached.municipality;
+        }
+
+        const municipality = this.getMunicipalityForCamera(record.lat, record.lon);
+        console.log('Station:', record.stationName, `at (${record.lat}, ${record.lon})`, '→', municipality);
+
+        this.municipalityCache.set(record.cameraId, {
+            cameraId: record.cameraId,
+            lat: record.lat,
+            lon: record.lon,
+            municipality
+        });
+        return municipality;
+    }
+
+    getMunicipalityForCamera(lat, lon) {
+        if (!this.municipalityData) return 'Unknown';
+
+        try {
+            // Only built here if the geo worker couldn't take over
+            if (!this.municipalityIndex) {
+                this.municipalityIndex = new MunicipalityIndex(this.municipalityData);
+            }
+
+            return this.municipalityIndex.lookup(lat, lon);
+        } catch (error) {
+            console.error('Error determining municipality:', error);
+        }
+
+        return 'Unknown';
+    }
+
+    filterCameras(cameras) {
+        let filtered = [...cameras];
+
+        // Hide stale cameras if that's the staleness policy (dim and badge are applied per tile)
+        if (this.config.stalePolicy === 'hide') {
+            filtered = filtered.filter(camera => !this.isStale(camera));
+        }
+
+        // Sort by freshness (newest first)
+        filtered.sort((a, b) => b.measuredTime - a.measuredTime);
+
+        return filtered;
+    }
+
+    getImageAge(timestamp) {
+        const now = new Date();
+        const imageTime = new Date(timestamp);
+        const diffMs = now - imageTime;
+        const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
+        const diffMins = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
+
+        if (diffHours > 0) {
+            return `${diffHours}h ${diffMins}m ago`;
+        }
+        return `${diffMins}m ago`;
+    }
+
+    populateSelectors() {
+        // Populate municipality selector
+        this.renderCheckboxOptions('selectedMunicipalities', this.countCamerasBy('municipality'),
+            this.config.selectedMunicipalities);
+        this.populateRegionSelector();
+
+        // Populate station selector
+        this.renderCheckboxOptions('selectedStations', this.countCamerasBy('stationName'),
+            this.config.selectedStations, station => station.replace(/_/g, ' '));
+
+        this.renderCheckboxOptions('filterMunicipalities', this.countCamerasBy('municipality'),
+            this.config.filterMunicipalities);
+        this.updateFilterSummary();
+    }
+
+    // Camera counts per value of a field, e.g. per municipality
+    countCamerasBy(field) {
+        const counts = new Map();
+        this.cameras.forEach(c => counts.set(c[field], (counts.get(c[field]) || 0) + 1));
+        return counts;
+    }
+
+    /**
+     * Fill a checkbox list with "value (count)" options. Selected values
+     * without cameras are kept so a filter doesn't silently lose them.
+     */
+    renderCheckboxOptions(containerId, counts, selected, formatLabel = value => value) {
+        const container = document.getElementById(containerId);
+        const values = [...new Set([...counts.keys(), ...selected])].sort((a, b) => a.localeCompare(b, 'fi'));
+
+        container.innerHTML = '';
+
+        values.forEach(value => {
+            const label = document.createElement('label');
+            label.className = 'facet-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = value;
+            checkbox.checked = selected.includes(value);
+
+            label.append(checkbox, `${formatLabel(value)} (${counts.get(value) || 0})`);
+            container.appendChild(label);
+        });
+    }
+
+    syncCheckboxOptions(containerId, selected) {
+        document.querySelectorAll(`#${containerId} input`).forEach(checkbox => {
+            checkbox.checked = selected.includes(checkbox.value);
+        });
+    }
+
+    getCheckedValues(containerId) {
+        return [...document.querySelectorAll(`#${containerId} input:checked`)].map(checkbox => checkbox.value);
+    }
+
+    getRegionMunicipalities(region) {
+        return this.municipalities
+            .filter(municipality => region.codes.includes(municipality.code))
+            .map(municipality => municipality.name);
+    }
+
+    populateRegionSelector() {
+        const regionSelect = document.getElementById('selectedRegion');
+        const counts = this.countCamerasBy('municipality');
+
+        regionSelect.innerHTML = '<option value="">Select a region…</option>';
+        MUNICIPALITY_REGIONS.forEach((region, index) => {
+            const cameraCount = this.getRegionMunicipalities(region)
+                .reduce((sum, municipality) => sum + (counts.get(municipality) || 0), 0);
+
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${region.name} (${cameraCount})`;
+            regionSelect.appendChild(option);
+        });
+    }
+
+    // Region shortcut: select the region's municipalities that have cameras
+    selectRegion(index) {
+        const region = MUNICIPALITY_REGIONS[index];
+        if (!region) return;
+
+        const counts = this.countCamerasBy('municipality');
+        this.config.selectedMunicipalities = this.getRegionMunicipalities(region)
+            .filter(municipality => counts.has(municipality))
+            .sort((a, b) => a.localeCompare(b, 'fi'));
+
+        this.syncCheckboxOptions('selectedMunicipalities', this.config.selectedMunicipalities);
+        document.getElementById('selectedRegion').value = '';
+        this.onSelectionChanged();
+    }
+
+    onSelectionChanged() {
+        this.currentCycleIndex = 0;
+        this.saveSettings();
+        this.updateUrl();
+        this.renderCameras();
+    }
+
+    getFilteredCameras() {
+        let filtered = [...this.cameras];
+
+        switch (this.config.cyclingMode) {
+            case 'municipality':
+                if (this.config.selectedMunicipalities.length > 0) {
+                    const municipalities = new Set(this.config.selectedMunicipalities);
+                    filtered = filtered.filter(c => municipalities.has(c.municipality));
+                }
+                break;
+            case 'station':
+                if (this.config.selectedStations.length > 0) {
+                    const stations = new Set(this.config.selectedStations);
+                    filtered = filtered.filter(c => stations.has(c.stationName));
+                }
+                break;
+            case 'group': {
+                // Keep the group's hand-picked order instead of freshness order, and its
+                // members even when the stale filter would hide them
+                const group = this.getSelectedGroup();
+                filtered = group
+                    ? group.presetIds.map(presetId => this.allCameras.find(c => c.presetId === presetId)).filter(Boolean)
+                    : [];
+                break;
+            }
+            case 'proximity':
+                filtered = this.getProximityCameras(filtered);
+                break;
+        }
+
+        return this.applySearchFilter(filtered);
+    }
+
+    /**
+     * Search and facets, applied on top of the cycling mode. A search query
+     * also orders the results by match quality, which the cycle follows.
+     */
+    applySearchFilter(cameras) {
+        const { filterQuery, filterMunicipalities, filterAge, filterMultiPreset } = this.config;
+        let filtered = cameras;
+
+        // A group is an explicit list of cameras, which the facet must not trim
+        if (filterMunicipalities.length > 0 && this.config.cyclingMode !== 'group') {
+            filtered = filtered.filter(c => filterMunicipalities.includes(c.municipality));
+        }
+
+        if (filterAge) {
+            const [minAge, maxAge] = this.parseAgeRange(filterAge);
+            const now = Date.now();
+            filtered = filtered.filter(c => {
+                const age = (now - c.measuredTime) / 60000;
+                return age >= minAge && age < maxAge;
+            });
+        }
+
+        if (filterMultiPreset) {
+            const presetCounts = new Map();
+            this.allCameras.forEach(c => presetCounts.set(c.cameraId, (presetCounts.get(c.cameraId) || 0) + 1));
+            filtered = filtered.filter(c => presetCounts.get(c.cameraId) > 1);
+        }
+
+        const tokens = this.normalizeSearchText(filterQuery).split(' ').filter(Boolean);
+        if (tokens.length > 0) {
+            filtered = filtered
+                .map(camera => ({ camera, score: this.getSearchScore(camera, tokens) }))
+                .filter(match => match.score > 0)
+                .sort((a, b) => b.score - a.score) // Stable, so equal scores keep freshness order
+                .map(match => match.camera);
+        }
+
+        return filtered;
+    }
+
+    // "15-60" -> [15, 60] minutes, an open end means no limit
+    parseAgeRange(range) {
+        const [min, max] = range.split('-');
+        return [parseFloat(min) || 0, max ? parseFloat(max) : Infinity];
+    }
+
+    // Lowercase, without diacritics or underscores, so "aanekoski" finds "Äänekoski"
+    normalizeSearchText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[_\s]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Every token has to match some field: as a prefix, inside a word, as a
+     * substring or, worst, as a subsequence ("kjnhrj" -> "kaijonharju").
+     * Returns 0 when a token doesn't match at all.
+     */
+    getSearchScore(camera, tokens) {
+        const fields = [camera.stationName, camera.presentationName, camera.municipality, camera.cameraId]
+            .map(field => this.normalizeSearchText(field));
+
+        let total = 0;
+
+        for (const token of tokens) {
+            let best = 0;
+
+            fields.forEach(field => {
+                let score = 0;
+                const position = field.indexOf(token);
+
+                if (position === 0) {
+                    score = 4;
+                } else if (position > 0) {
+                    score = field[position - 1] === ' ' ? 3 : 2;
+                } else {
+                    // Subsequence match, worth less the more spread out it is
+                    let index = -1;
+                    let first = -1;
+                    for (const char of token) {
+                        index = field.indexOf(char, index + 1);
+                        if (index === -1) break;
+                        if (first === -1) first = index;
+                    }
+                    if (index !== -1) {
+                        score = token.length / (index - first + 1);
+                    }
+                }
+
+                best = Math.max(best, score);
+            });
+
+            if (best === 0) return 0;
+            total += best;
+        }
+
+        return total;
+    }
+
+    syncFilterControls() {
+        document.getElementById('filterQuery').value = this.config.filterQuery;
+        document.getElementById('filterAge').value = this.config.filterAge;
+        document.getElementById('filterMultiPreset').checked = this.config.filterMultiPreset;
+        this.syncCheckboxOptions('filterMunicipalities', this.config.filterMunicipalities);
+        this.updateFilterSummary();
+    }
+
+    updateFilterSummary() {
+        const summary = document.getElementById('filterSummary');
+        const active = this.config.filterQuery || this.config.filterMunicipalities.length > 0 ||
+            this.config.filterAge || this.config.filterMultiPreset;
+
+        summary.textContent = active ? `${this.getFilteredCameras().length} cameras match` : '';
+        document.getElementById('clearFilters').disabled = !active;
+    }
+
+    // Typing replaces the history entry instead of adding one per keystroke
+    onFilterChanged({ replaceUrl = false } = {}) {
+        this.currentCycleIndex = 0;
+        this.updateFilterSummary();
+        this.saveSettings();
+        this.updateUrl(replaceUrl);
+        this.renderCameras();
+    }
+
+    clearFilters() {
+        this.config.filterQuery = '';
+        this.config.filterMunicipalities = [];
+        this.config.filterAge = '';
+        this.config.filterMultiPreset = false;
+        this.syncFilterControls();
+        this.onFilterChanged();
+    }
+
+    /**
+     * Camera groups: named, hand-picked and ordered lists of presets used by the
+     * "group" cycling mode
+     */
+    populateGroupSelector() {
+        const groupSelect = document.getElementById('selectedGroup');
+        groupSelect.innerHTML = '';
+
+        if (this.cameraGroups.length === 0) {
+            groupSelect.innerHTML = '<option value="">No groups yet</option>';
+        }
+
+        this.cameraGroups.forEach(group => {
+            const option = document.createElement('option');
+            option.value = group.id;
+            option.textContent = `${group.name} (${group.presetIds.length})`;
+            groupSelect.appendChild(option);
+        });
+
+        // Fall back to the first group if the selected one no longer exists
+        if (!this.getSelectedGroup() && this.cameraGroups.length > 0) {
+            this.config.selectedGroup = this.cameraGroups[0].id;
+        }
+        groupSelect.value = this.config.selectedGroup;
+
+        document.getElementById('editGroup').disabled = !this.getSelectedGroup();
+        document.getElementById('deleteGroup').disabled = !this.getSelectedGroup();
+        document.getElementById('exportGroups').disabled = this.cameraGroups.length === 0;
+    }
+
+    getSelectedGroup() {
+        return this.cameraGroups.find(group => group.id === this.config.selectedGroup) || null;
+    }
+
+    openGroupEditor(group = null) {
+        this.editingGroup = group
+            ? { id: group.id, name: group.name, presetIds: [...group.presetIds] }
+            : { id: null, name: '', presetIds: [] };
+
+        document.getElementById('groupName').value = this.editingGroup.name;
+        document.getElementById('groupEditor').classList.remove('hidden');
+
+        // Offer every known preset, grouped by station
+        const addSelect = document.getElementById('groupAddPreset');
+        addSelect.innerHTML = '<option value="">Add camera...</option>';
+        [...this.allCameras]
+            .sort((a, b) => a.stationName.localeCompare(b.stationName))
+            .forEach(camera => {
+                const option = document.createElement('option');
+                option.value = camera.presetId;
+                option.textContent = `${camera.stationName.replace(/_/g, ' ')} – ${camera.presentationName || camera.presetId}`;
+                addSelect.appendChild(option);
+            });
+
+        this.renderGroupEditor();
+    }
+
+    renderGroupEditor() {
+        const list = document.getElementById('groupPresetList');
+        list.innerHTML = '';
+
+        if (this.editingGroup.presetIds.length === 0) {
+            list.innerHTML = '<p class="text-muted-foreground text-sm">Add cameras to this group</p>';
+            return;
+        }
+
+        this.editingGroup.presetIds.forEach((presetId, position) => {
+            const camera = this.allCameras.find(c => c.presetId === presetId);
+
+            const item = document.createElement('div');
+            item.className = 'group-preset-item';
+
+            const label = document.createElement('span');
+            label.className = 'group-preset-label';
+            label.textContent = camera
+                ? `${position + 1}. ${camera.presentationName || 'Camera'} (${camera.stationName.replace(/_/g, ' ')})`
+                : `${position + 1}. ${presetId} (unavailable)`;
+            item.appendChild(label);
+
+            // Reorder and remove controls
+            [['↑', -1], ['↓', 1], ['✕', 0]].forEach(([text, direction]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-outline';
+                button.textContent = text;
+                button.addEventListener('click', () => this.moveGroupPreset(position, direction));
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    // Move a preset up (-1) or down (1) in the group being edited, or remove it (0)
+    moveGroupPreset(position, direction) {
+        const presetIds = this.editingGroup.presetIds;
+
+        if (direction === 0) {
+            presetIds.splice(position, 1);
+        } else {
+            const target = position + direction;
+            if (target < 0 || target >= presetIds.length) return;
+            [presetIds[position], presetIds[target]] = [presetIds[target], presetIds[position]];
+        }
+
+        this.renderGroupEditor();
+    }
+
+    saveGroupEditor() {
+        const name = document.getElementById('groupName').value.trim();
+        if (!name) {
+            document.getElementById('groupName').focus();
+            return;
+        }
+
+        const group = {
+            id: this.editingGroup.id || `group-${Date.now().toString(36)}`,
+            name,
+            presetIds: this.editingGroup.presetIds
+        };
+
+        const existingIndex = this.cameraGroups.findIndex(g => g.id === group.id);
+        if (existingIndex >= 0) {
+            this.cameraGroups[existingIndex] = group;
+        } else {
+            this.cameraGroups.push(group);
+        }
+
+        this.config.selectedGroup = group.id;
+        this.closeGroupEditor();
+        this.onGroupsChanged();
+    }
+
+    closeGroupEditor() {
+        this.editingGroup = null;
+        document.getElementById('groupEditor').classList.add('hidden');
+    }
+
+    deleteSelectedGroup() {
+        const group = this.getSelectedGroup();
+        if (!group || !confirm(`Delete group "${group.name}"?`)) return;
+
+        this.cameraGroups = this.cameraGroups.filter(g => g.id !== group.id);
+        this.config.selectedGroup = '';
+        this.closeGroupEditor();
+        this.onGroupsChanged();
+    }
+
+    onGroupsChanged() {
+        this.populateGroupSelector();
+        this.saveSettings();
+        this.updateUrl();
+        if (this.config.cyclingMode === 'group') {
+            this.renderCameras();
+        }
+    }
+
+    exportGroups() {
+        const data = JSON.stringify({ type: 'oulu-webcams-groups', version: 1, groups: this.cameraGroups }, null, 2);
+        const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'camera-groups.json';
+        link.click();
+
+        // Revoking right away can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Import groups from an exported JSON file. Groups with the same ID
+     * replace existing ones, others are added.
+     */
+    async importGroups(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const groups = Array.isArray(data) ? data : data.groups;
+
+            if (!Array.isArray(groups)) {
+                throw new Error('No groups found in file');
+            }
+
+            const validGroups = groups.filter(group =>
+                group && typeof group.id === 'string' && typeof group.name === 'string' && Array.isArray(group.presetIds)
+            );
+
+            validGroups.forEach(group => {
+                const imported = { id: group.id, name: group.name, presetIds: group.presetIds.map(String) };
+                const existingIndex = this.cameraGroups.findIndex(g => g.id === imported.id);
+                if (existingIndex >= 0) {
+                    this.cameraGroups[existingIndex] = imported;
+                } else {
+                    this.cameraGroups.push(imported);
+                }
+            });
+
+            if (validGroups.length > 0) {
+                this.config.selectedGroup = validGroups[0].id;
+            }
+
+            this.onGroupsChanged();
+            this.updateStatus(`Imported ${validGroups.length} camera groups`, 'success');
+        } catch (error) {
+            console.error('Error importing groups:', error);
+            this.updateStatus(`Failed to import groups: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Map view: municipality boundaries and camera stations drawn as SVG
+     * straight from the GeoJSON, no tile server needed
+     */
+    setViewMode(viewMode) {
+        this.config.viewMode = viewMode;
+
+        const showMap = viewMode === 'map';
+        document.getElementById('cameraGrid').classList.toggle('hidden', showMap);
+        document.getElementById('cameraMap').classList.toggle('hidden', !showMap);
+
+        const toggle = document.getElementById('viewToggle');
+        toggle.textContent = showMap ? '🎥' : '🗺️';
+        toggle.title = showMap ? 'Show camera grid' : 'Show map';
+
+        if (showMap) {
+            this.renderMap();
+        }
+    }
+
+    // Equirectangular projection scaled by latitude, good enough at regional scale
+    projectPoint(lon, lat) {
+        return [lon * this.mapLonScale, -lat];
+    }
+
+    getFreshnessClass(measuredTime) {
+        const ageMinutes = (Date.now() - measuredTime) / 60000;
+
+        if (ageMinutes < 15) return 'fresh';
+        if (ageMinutes < 60) return 'recent';
+        if (ageMinutes < 240) return 'stale';
+        return 'old';
+    }
+
+    renderMap() {
+        const svg = document.getElementById('mapSvg');
+        if (!svg || this.allCameras.length === 0) return;
+
+        // Fit the view to all camera stations
+        const lats = this.allCameras.map(c => c.lat);
+        const lons = this.allCameras.map(c => c.lon);
+        const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+        this.mapLonScale = Math.cos(midLat * Math.PI / 180);
+
+        const [minX, minY] = this.projectPoint(Math.min(...lons), Math.max(...lats));
+        const [maxX, maxY] = this.projectPoint(Math.max(...lons), Math.min(...lats));
+        const padding = Math.max(maxX - minX, maxY - minY, 0.05) * 0.1;
+
+        this.mapViewBox = {
+            x: minX - padding,
+            y: minY - padding,
+            width: maxX - minX + padding * 2,
+            height: maxY - minY + padding * 2
+        };
+        this.mapHomeViewBox = { ...this.mapViewBox };
+
+        svg.innerHTML = '';
+        svg.appendChild(this.createMunicipalityLayer());
+        svg.appendChild(this.createProximityLayer());
+        svg.appendChild(this.createStationLayer());
+
+        this.applyMapViewBox();
+        this.hideMapPopup();
+    }
+
+    createMunicipalityLayer() {
+        const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        layer.setAttribute('class', 'map-municipalities');
+
+        const boundaries = this.municipalityData || this.mapBoundaries;
+        if (!boundaries) {
+            this.loadMapBoundaries();
+            return layer;
+        }
+
+        // Only draw municipalities near the stations; the full country is ~900 KB of geometry
+        const view = this.mapViewBox;
+        const margin = Math.max(view.width, view.height);
+
+        boundaries.features.forEach(feature => {
+            if (!feature.geometry) return;
+
+            const [west, south, east, north] = turf.bbox(feature);
+            const [x1, y1] = this.projectPoint(west, north);
+            const [x2, y2] = this.projectPoint(east, south);
+            if (x2 < view.x - margin || x1 > view.x + view.width + margin ||
+                y2 < view.y - margin || y1 > view.y + view.height + margin) {
+                return;
+            }
+
+            const polygons = feature.geometry.type === 'Polygon'
+                ? [feature.geometry.coordinates]
+                : feature.geometry.coordinates;
+
+            const d = polygons.map(rings => rings.map(ring =>
+                'M' + ring.map(([lon, lat]) => this.projectPoint(lon, lat).map(v => v.toFixed(5)).join(' ')).join('L') + 'Z'
+            ).join('')).join('');
+
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', d);
+            path.setAttribute('class', 'map-municipality');
+
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = feature.properties.nimi;
+            path.appendChild(title);
+
+            layer.appendChild(path);
+        });
+
+        return layer;
+    }
+
+    /**
+     * Ask the geo worker for the boundaries around the stations, a margin as wide
+     * as the station area on each side, and redraw them once they arrive
+     */
+    loadMapBoundaries() {
+        if (this.mapBoundaryRequest || !this.geoWorker) return;
+
+        const lats = this.allCameras.map(c => c.lat);
+        const lons = this.allCameras.map(c => c.lon);
+        const margin = Math.max(Math.max(...lats) - Math.min(...lats), Math.max(...lons) - Math.min(...lons), 0.5);
+        // Map units are shrunk east-west, so the same margin spans more longitude
+        const lonMargin = margin / Math.cos((Math.min(...lats) + Math.max(...lats)) / 2 * Math.PI / 180);
+        const bbox = [Math.min(...lons) - lonMargin, Math.min(...lats) - margin, Math.max(...lons) + lonMargin, Math.max(...lats) + margin];
+
+        this.mapBoundaryRequest = this.geoRequest('boundaries', { bbox })
+            .then(features => {
+                this.mapBoundaries = { type: 'FeatureCollection', features };
+
+                const layer = document.querySelector('#mapSvg .map-municipalities');
+                if (layer) layer.replaceWith(this.createMunicipalityLayer());
+            })
+            .catch(error => {
+                console.warn('Failed to load map boundaries:', error.message);
+                this.mapBoundaryRequest = null;
+            });
+    }
+
+    createStationLayer() {
+        const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        layer.setAttribute('class', 'map-stations');
+
+        this.getStations().forEach(station => {
+            const [x, y] = this.projectPoint(station.lon, station.lat);
+            const newest = Math.max(...station.presets.map(p => p.measuredTime));
+
+            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            marker.setAttribute('cx', x);
+            marker.setAttribute('cy', y);
+            marker.setAttribute('class', `map-station freshness-${this.getFreshnessClass(newest)}`);
+
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = station.name.replace(/_/g, ' ');
+            marker.appendChild(title);
+
+            marker.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showMapPopup(station, e);
+            });
+
+            layer.appendChild(marker);
+        });
+
+        return layer;
+    }
+
+    // Group presets by station (cameraId)
+    getStations() {
+        const stations = new Map();
+
+        this.allCameras.forEach(camera => {
+            if (!stations.has(camera.cameraId)) {
+                stations.set(camera.cameraId, {
+                    cameraId: camera.cameraId,
+                    name: camera.stationName,
+                    lat: camera.lat,
+                    lon: camera.lon,
+                    presets: []
+                });
+            }
+            stations.get(camera.cameraId).presets.push(camera);
+        });
+
+        return [...stations.values()];
+    }
+
+    applyMapViewBox() {
+        const svg = document.getElementById('mapSvg');
+        const { x, y, width, height } = this.mapViewBox;
+        svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+
+        // Keep markers the same size on screen while zooming
+        const radius = Math.max(width, height) * 0.008;
+        svg.querySelectorAll('.map-station').forEach(marker => marker.setAttribute('r', radius));
+        svg.querySelectorAll('.map-reference-point').forEach(marker => marker.setAttribute('r', radius * 1.5));
+    }
+
+    zoomMap(factor, clientX, clientY) {
+        const svg = document.getElementById('mapSvg');
+        const rect = svg.getBoundingClientRect();
+        const view = this.mapViewBox;
+
+        // Zoom around the pointer position
+        const fx = rect.width ? (clientX - rect.left) / rect.width : 0.5;
+        const fy = rect.height ? (clientY - rect.top) / rect.height : 0.5;
+        const width = view.width * factor;
+        const height = view.height * factor;
+
+        this.mapViewBox = {
+            x: view.x + (view.width - width) * fx,
+            y: view.y + (view.height - height) * fy,
+            width,
+            height
+        };
+        this.applyMapViewBox();
+    }
+
+    panMap(dx, dy) {
+        const svg = document.getElementById('mapSvg');
+        const rect = svg.getBoundingClientRect();
+        const scale = rect.width ? this.mapViewBox.width / rect.width : 0;
+
+        this.mapViewBox.x -= dx * scale;
+        this.mapViewBox.y -= dy * scale;
+        this.applyMapViewBox();
+    }
+
+    setupMapInteractions() {
+        const svg = document.getElementById('mapSvg');
+        let dragStart = null;
+
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomMap(e.deltaY > 0 ? 1.2 : 1 / 1.2, e.clientX, e.clientY);
+        }, { passive: false });
+
+        let dragged = false;
+
+        svg.addEventListener('pointerdown', (e) => {
+            dragStart = { x: e.clientX, y: e.clientY };
+            dragged = false;
+        });
+
+        svg.addEventListener('pointermove', (e) => {
+            if (!dragStart) return;
+            this.panMap(e.clientX - dragStart.x, e.clientY - dragStart.y);
+            dragStart = { x: e.clientX, y: e.clientY };
+            dragged = true;
+        });
+
+        ['pointerup', 'pointerleave'].forEach(event => {
+            svg.addEventListener(event, () => {
+                dragStart = null;
+            });
+        });
+
+        svg.addEventListener('click', (e) => {
+            this.hideMapPopup();
+
+            // Picking a proximity reference point
+            if (this.pickingProximityPoint && !dragged) {
+                const coordinates = this.getMapCoordinates(e);
+                if (!coordinates) return;
+
+                this.pickingProximityPoint = false;
+                document.getElementById('cameraMap').classList.remove('picking');
+                this.setProximityPoint(coordinates.lat, coordinates.lon);
+            }
+        });
+
+        document.getElementById('mapReset').addEventListener('click', () => {
+            this.mapViewBox = { ...this.mapHomeViewBox };
+            this.applyMapViewBox();
+        });
+    }
+
+    showMapPopup(station, event) {
+        const popup = document.getElementById('mapPopup');
+        const mapRect = document.getElementById('cameraMap').getBoundingClientRect();
+
+        popup.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        heading.className = 'map-popup-title';
+        heading.textContent = station.name.replace(/_/g, ' ');
+        popup.appendChild(heading);
+
+        station.presets.forEach(camera => {
+            const row = document.createElement('div');
+            row.className = 'map-popup-preset';
+
+            const label = document.createElement('span');
+            label.className = `map-popup-label freshness-${this.getFreshnessClass(camera.measuredTime)}`;
+            label.textContent = `${camera.presentationName || 'Camera'} · ${camera.age}`;
+
+            const detailsButton = document.createElement('button');
+            detailsButton.type = 'button';
+            detailsButton.className = 'btn btn-sm btn-outline';
+            detailsButton.textContent = 'Details';
+            detailsButton.addEventListener('click', () => this.openCameraModal(camera));
+
+            row.append(label, detailsButton);
+            popup.appendChild(row);
+        });
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'btn btn-sm btn-primary';
+        addButton.textContent = 'Add to grid';
+        addButton.addEventListener('click', () => this.addStationToGrid(station));
+        popup.appendChild(addButton);
+
+        popup.style.left = `${event.clientX - mapRect.left + 12}px`;
+        popup.style.top = `${event.clientY - mapRect.top + 12}px`;
+        popup.classList.remove('hidden');
+    }
+
+    hideMapPopup() {
+        document.getElementById('mapPopup').classList.add('hidden');
+    }
+
+    /**
+     * Pin a station's presets into the free tiles of the grid and switch back to it
+     */
+    addStationToGrid(station) {
+        const usedTiles = new Set(this.lockedCameras.values());
+        let added = 0;
+
+        for (const camera of station.presets) {
+            if (this.lockedCameras.has(camera.presetId)) continue;
+
+            let tile = 0;
+            while (tile < this.getTileCount() && usedTiles.has(tile)) tile++;
+            if (tile >= this.getTileCount()) break;
+
+            this.lockedCameras.set(camera.presetId, tile);
+            usedTiles.add(tile);
+            added++;
+        }
+
+        if (added === 0 && !station.presets.some(camera => this.lockedCameras.has(camera.presetId))) {
+            this.updateStatus('No free tiles – unpin a camera or show more cameras', 'error');
+            return;
+        }
+
+        this.renderPinnedList();
+        this.setViewMode('grid');
+        this.saveSettings();
+        this.updateUrl();
+        this.renderCameras();
+    }
+
+    /**
+     * Proximity mode: cameras within a radius of a reference point, nearest
+     * first, or within a buffer of a route in travel order
+     */
+    getProximityCameras(cameras) {
+        const radius = this.config.proximityRadius;
+
+        if (this.config.proximityTarget === 'route') {
+            if (!this.config.proximityRoute) return [];
+
+            const route = turf.lineString(this.config.proximityRoute);
+
+            return cameras
+                .map(camera => {
+                    const point = turf.point([camera.lon, camera.lat]);
+                    return {
+                        ...camera,
+                        distanceKm: turf.pointToLineDistance(point, route, { units: 'kilometers' }),
+                        routeKm: turf.nearestPointOnLine(route, point, { units: 'kilometers' }).properties.location
+                    };
+                })
+                .filter(camera => camera.distanceKm <= radius)
+                .sort((a, b) => a.routeKm - b.routeKm);
+        }
+
+        if (!this.config.proximityPoint) return [];
+
+        const { lat, lon } = this.config.proximityPoint;
+        const origin = turf.point([lon, lat]);
+
+        return cameras
+            .map(camera => ({
+                ...camera,
+                distanceKm: turf.distance(origin, turf.point([camera.lon, camera.lat]), { units: 'kilometers' })
+            }))
+            .filter(camera => camera.distanceKm <= radius)
+            .sort((a, b) => a.distanceKm - b.distanceKm);
+    }
+
+    setProximityPoint(lat, lon) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            this.updateStatus('Invalid coordinates', 'error');
+            return;
+        }
+
+        this.config.proximityPoint = { lat, lon };
+        this.config.proximityTarget = 'point';
+        this.currentCycleIndex = 0;
+
+        this.syncProximityControls();
+        this.saveSettings();
+        this.updateUrl();
+        this.renderCameras();
+
+        if (this.config.viewMode === 'map') {
+            this.renderMap();
+        }
+    }
+
+    useCurrentLocation() {
+        if (!navigator.geolocation) {
+            this.updateStatus('Geolocation is not available in this browser', 'error');
+            return;
+        }
+
+        this.updateStatus('Locating...', 'loading');
+        navigator.geolocation.getCurrentPosition(
+            position => {
+                this.setProximityPoint(position.coords.latitude, position.coords.longitude);
+                this.updateStatus('Showing cameras near your location', 'success');
+            },
+            error => {
+                console.error('Geolocation failed:', error);
+                this.updateStatus(`Location unavailable: ${error.message}`, 'error');
+            },
+            { timeout: 10000, maximumAge: 60000 }
+        );
+    }
+
+    /**
+     * Accept a pasted GeoJSON LineString, as a bare geometry, a Feature or the
+     * first LineString feature of a FeatureCollection
+     */
+    setProximityRoute(text) {
+        try {
+            let geojson = JSON.parse(text);
+
+            if (geojson.type === 'FeatureCollection') {
+                geojson = geojson.features.find(f => f.geometry && f.geometry.type === 'LineString');
+            }
+            if (geojson && geojson.type === 'Feature') {
+                geojson = geojson.geometry;
+            }
+            if (!geojson || geojson.type !== 'LineString' || geojson.coordinates.length < 2) {
+                throw new Error('Expected a GeoJSON LineString');
+            }
+
+            this.config.proximityRoute = geojson.coordinates.map(([lon, lat]) => [lon, lat]);
+            this.config.proximityTarget = 'route';
+            this.currentCycleIndex = 0;
+
+            this.syncProximityControls();
+            this.saveSettings();
+            this.updateUrl();
+            this.renderCameras();
+            this.updateStatus(`Route loaded: ${this.getFilteredCameras().length} cameras along it`, 'success');
+
+            if (this.config.viewMode === 'map') {
+                this.renderMap();
+            }
+        } catch (error) {
+            console.error('Invalid route:', error);
+            this.updateStatus(`Invalid route: ${error.message}`, 'error');
+        }
+    }
+
+    syncProximityControls() {
+        const point = this.config.proximityPoint;
+
+        document.getElementById('proximityTarget').value = this.config.proximityTarget;
+        document.getElementById('proximityRadius').value = String(this.config.proximityRadius);
+        document.getElementById('proximityLat').value = point ? point.lat.toFixed(5) : '';
+        document.getElementById('proximityLon').value = point ? point.lon.toFixed(5) : '';
+        document.getElementById('proximityRoute').value = this.config.proximityRoute
+            ? JSON.stringify({ type: 'LineString', coordinates: this.config.proximityRoute })
+            : '';
+        document.getElementById('proximityPointControls').classList.toggle('hidden', this.config.proximityTarget !== 'point');
+        document.getElementById('proximityRouteControls').classList.toggle('hidden', this.config.proximityTarget !== 'route');
+    }
+
+    // Draw the proximity reference point or route on the map
+    createProximityLayer() {
+        const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        layer.setAttribute('class', 'map-proximity');
+
+        if (this.config.cyclingMode !== 'proximity') return layer;
+
+        if (this.config.proximityTarget === 'route' && this.config.proximityRoute) {
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            line.setAttribute('points', this.config.proximityRoute
+                .map(([lon, lat]) => this.projectPoint(lon, lat).join(','))
+                .join(' '));
+            line.setAttribute('class', 'map-route');
+            layer.appendChild(line);
+        } else if (this.config.proximityTarget === 'point' && this.config.proximityPoint) {
+            const [x, y] = this.projectPoint(this.config.proximityPoint.lon, this.config.proximityPoint.lat);
+            const marker = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            marker.setAttribute('cx', x);
+            marker.setAttribute('cy', y);
+            marker.setAttribute('class', 'map-reference-point');
+            layer.appendChild(marker);
+        }
+
+        return layer;
+    }
+
+    // Convert a click on the map to coordinates
+    getMapCoordinates(event) {
+        const svg = document.getElementById('mapSvg');
+        const matrix = svg.getScreenCTM();
+        if (!matrix) return null;
+
+        const point = svg.createSVGPoint();
+        point.x = event.clientX;
+        point.y = event.clientY;
+        const { x, y } = point.matrixTransform(matrix.inverse());
+
+        return { lat: -y, lon: x / this.mapLonScale };
+    }
+
+    getOptimalGridSize(cameraCount) {
+        // Find the smallest standard grid size that can accommodate the cameras
+        const standardGridSizes = [1, 2, 4, 6, 8, 12, 16];
+
+        for (const gridSize of standardGridSizes) {
+            if (cameraCount <= gridSize) {
+                return gridSize;
+            }
+        }
+
+        return 16; // Max grid size
+    }
+
+    /**
+     * Work out which camera goes in each tile. Pinned presets keep their tile
+     * (even if the current filter would hide them); the remaining tiles take
+     * the next unpinned cameras in the cycle. Empty slots are null.
+     */
+    getPageCameras(cycleIndex = this.currentCycleIndex) {
+        // Wall displays show exactly what the controller assigned them
+        if (this.isWallDisplay() && this.wall.assigned) {
+            const slots = this.wall.assigned.map(presetId => this.allCameras.find(c => c.presetId === presetId) || null);
+            while (slots.length > 0 && !slots[slots.length - 1]) slots.pop();
+            return slots;
+        }
+
+        const slots = new Array(this.getTileCount()).fill(null);
+
+        this.lockedCameras.forEach((index, presetId) => {
+            if (index >= slots.length) return;
+            const camera = this.allCameras.find(c => c.presetId === presetId);
+            if (camera) slots[index] = camera;
+        });
+
+        const freeSlots = slots.map((camera, index) => (camera ? null : index)).filter(index => index !== null);
+        const cameras = this.getCycleWindow(cycleIndex, freeSlots.length).cameras;
+
+        // On a full page, cameras that stay keep their tile so only the changed tiles swap
+        const incoming = cameras.length < freeSlots.length ? cameras : cameras.filter(camera => {
+            const tile = this.currentImages.findIndex(current => current && current.presetId === camera.presetId);
+            if (!freeSlots.includes(tile) || slots[tile]) return true;
+            slots[tile] = camera;
+            return false;
+        });
+        freeSlots.filter(index => !slots[index]).forEach((index, n) => {
+            slots[index] = incoming[n] || null;
+        });
+
+        // Trailing empty slots don't need tiles
+        while (slots.length > 0 && !slots[slots.length - 1]) {
+            slots.pop();
+        }
+
+        return slots;
+    }
+
+    renderCameras() {
+        const grid = document.getElementById('cameraGrid');
+        const pageCameras = this.getPageCameras();
+        this.broadcastWallState();
+
+        // Configured count, limited to the cameras that can actually be shown
+        const actualCameraCount = pageCameras.length;
+
+        if (actualCameraCount === 0) {
+            this.showNoCamerasMessage();
+            return;
+        }
+
+        // Fixed layouts always show all their tiles, uniform grids use the
+        // optimal grid size to minimize empty placeholders
+        const layout = this.getGridLayout();
+        const optimalGridSize = layout ? this.getTileCount() : this.getOptimalGridSize(actualCameraCount);
+        this.normalizeTileOrder(optimalGridSize);
+
+        // Update grid class based on the layout or optimal grid size
+        let gridClass = `bc-grid bc-gap-4 bc-h-full ${layout ? `layout-${layout.id}` : `grid-${optimalGridSize}`}`;
+        
+        // Add mobile-specific class if on mobile
+        if (this.isMobile) {
+            gridClass += ' mobile-optimized';
+        }
+        
+        grid.className = gridClass;
+        grid.classList.toggle('hidden', this.config.viewMode === 'map');
+
+        // Clear existing cameras
+        grid.innerHTML = '';
+        this.currentImages = [];
+        this.clearTileRetries();
+
+        // Create camera containers, keeping gaps between pinned tiles as placeholders
+        for (let i = 0; i < actualCameraCount; i++) {
+            const container = pageCameras[i] ? this.createCameraContainer(i) : this.createCameraPlaceholder(i);
+            grid.appendChild(container);
+        }
+
+        // Add empty placeholders only to fill the optimal grid (minimal placeholders)
+        for (let i = actualCameraCount; i < optimalGridSize; i++) {
+            const placeholder = this.createCameraPlaceholder(i);
+            grid.appendChild(placeholder);
+        }
+
+        this.applyTileArrangement();
+        this.restoreTileFocus();
+        this.updatePaging();
+
         // Load initial images
         this.loadCameraImages();
+
+        // Staggered cycling is paced by the number of unpinned tiles
+        if (this.scheduler.hasTask('cycle') && this.cycleTaskInterval !== this.getCycleTaskInterval()) {
+            this.startCycling();
+        }
+    }
+
+    createCameraContainer(index) {
+        const container = document.createElement('div');
+        container.className = 'camera-container';
+        container.id = `camera-${index}`;
+        container.tabIndex = 0;
+        container.draggable = true;
+
+        container.innerHTML = `
+            <div class="camera-loading">
+                <div class="animate-spin w-8 h-8 border-2 border-gray-300 border-t-blue-600 rounded-full"></div>
+                <p class="mt-2">Loading...</p>
+            </div>
+            <img class="camera-image hidden" alt="Camera view">
+            <div class="camera-error hidden">
+                <svg class="bc-w-8 bc-h-8 bc-mb-2" fill="currentColor" viewBox="0 0 20 20">
+                    <path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clip-rule="evenodd"></path>
+                </svg>
+                <p class="camera-error-message"></p>
+                <p class="camera-error-retry"></p>
+            </div>
+            <div class="camera-info">
+                <h3 class="camera-title"></h3>
+                <p class="camera-details"></p>
+                <p class="camera-timestamp"></p>
+                <span class="municipality-tag"></span>
+                <p class="weather-badge hidden"></p>
+            </div>
+            <span class="stale-badge hidden">Stale</span>
+            <span class="image-issue-badge hidden"></span>
+            <button class="lock-button" data-index="${index}">
+                <span class="unlock-icon">🔓</span>
+                <span class="lock-icon hidden">🔒</span>
+            </button>
+        `;
+
+        container.addEventListener('focus', () => {
+            this.focusedTileIndex = index;
+        });
+
+        // Add click handler for modal
+        container.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('lock-button')) {
+                this.showCameraModal(index);
+            }
+        });
+
+        // Add lock button handler
+        const lockButton = container.querySelector('.lock-button');
+        lockButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleCameraLock(index);
+        });
+
+        return container;
+    }
+
+    /**
+     * Grid layouts: uniform grids sized by the camera count, or a fixed layout
+     * with featured (large) tiles. tileOrder maps each tile to its position on
+     * screen, so dragging tiles around never changes which tile a pin uses.
+     */
+    getGridLayout() {
+        // Phones keep the uniform grids from setupMobileRestrictions()
+        if (this.isMobile) return null;
+        return GRID_LAYOUTS.find(layout => layout.id === this.config.gridLayout) || null;
+    }
+
+    getTileCount() {
+        const layout = this.getGridLayout();
+        return layout ? layout.large + layout.small : this.config.cameraCount;
+    }
+
+    // Make tileOrder a complete permutation of the first `count` positions
+    normalizeTileOrder(count) {
+        const order = [];
+        const used = new Set();
+
+        for (let i = 0; i < count; i++) {
+            const position = this.config.tileOrder[i];
+            const valid = Number.isInteger(position) && position >= 0 && position < count && !used.has(position);
+            order.push(valid ? position : null);
+            if (valid) used.add(position);
+        }
+
+        const free = [...Array(count).keys()].filter(position => !used.has(position));
+        this.config.tileOrder = order.map(position => (position === null ? free.shift() : position));
+    }
+
+    getTilePosition(index) {
+        const position = this.config.tileOrder[index];
+        return Number.isInteger(position) ? position : index;
+    }
+
+    // Tile index shown at a screen position (position 0 is the first featured slot)
+    getTileAtPosition(position) {
+        const index = this.config.tileOrder.indexOf(position);
+        return index === -1 ? position : index;
+    }
+
+    applyTileArrangement() {
+        const layout = this.getGridLayout();
+
+        document.querySelectorAll('#cameraGrid .camera-container').forEach(container => {
+            const position = this.getTilePosition(parseInt(container.id.replace('camera-', '')));
+            container.style.order = position;
+            container.classList.toggle('featured', Boolean(layout) && position < layout.large);
+        });
+    }
+
+    // Swap the screen positions of two tiles (drag and drop)
+    swapTiles(from, to) {
+        if (from === to) return;
+
+        const order = this.config.tileOrder;
+        [order[from], order[to]] = [order[to], order[from]];
+
+        this.applyTileArrangement();
+        this.syncLayoutControls();
+        this.saveSettings();
+    }
+
+    setupTileDragging() {
+        const grid = document.getElementById('cameraGrid');
+        const tileIndex = (target) => {
+            const container = target.closest && target.closest('.camera-container');
+            return container ? parseInt(container.id.replace('camera-', '')) : null;
+        };
+        let dragged = null;
+
+        grid.addEventListener('dragstart', (e) => {
+            dragged = tileIndex(e.target);
+            if (dragged === null) return;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(dragged));
+            e.target.classList.add('dragging');
+        });
+
+        grid.addEventListener('dragover', (e) => {
+            if (dragged === null || tileIndex(e.target) === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            grid.querySelectorAll('.drag-over').forEach(tile => tile.classList.remove('drag-over'));
+            e.target.closest('.camera-container').classList.add('drag-over');
+        });
+
+        grid.addEventListener('drop', (e) => {
+            const target = tileIndex(e.target);
+            if (dragged === null || target === null) return;
+            e.preventDefault();
+            this.swapTiles(dragged, target);
+        });
+
+        grid.addEventListener('dragend', () => {
+            dragged = null;
+            grid.querySelectorAll('.dragging, .drag-over').forEach(tile => {
+                tile.classList.remove('dragging', 'drag-over');
+            });
+        });
+    }
+
+    setGridLayout(layoutId) {
+        this.config.gridLayout = layoutId;
+        this.updateCycleTimeOptions();
+        this.saveSettings();
+        this.updateUrl();
+        this.renderCameras();
+        this.renderPinnedList();
+        this.syncLayoutControls();
+    }
+
+    // Preset pinned to the first featured slot, if any
+    getFeaturedPresetId() {
+        const layout = this.getGridLayout();
+        if (!layout || layout.large === 0) return null;
+
+        const index = this.getTileAtPosition(0);
+        const pinned = [...this.lockedCameras].find(([, tile]) => tile === index);
+        return pinned ? pinned[0] : null;
+    }
+
+    // Pin a preset to the large slot, replacing whatever was pinned there
+    pinFeaturedPreset(presetId) {
+        const index = this.getTileAtPosition(0);
+
+        this.lockedCameras.forEach((tile, pinnedPresetId) => {
+            if (tile === index || pinnedPresetId === presetId) this.lockedCameras.delete(pinnedPresetId);
+        });
+        if (presetId) this.lockedCameras.set(presetId, index);
+    }
+
+    setFeaturedPreset(presetId) {
+        this.pinFeaturedPreset(presetId);
+        this.saveSettings();
+        this.updateUrl();
+        this.renderCameras();
+        this.renderPinnedList();
+    }
+
+    syncLayoutControls() {
+        const layout = this.getGridLayout();
+        document.getElementById('gridLayout').value = layout ? layout.id : 'auto';
+        document.getElementById('featuredPresetControls').classList.toggle('hidden', !layout || layout.large === 0);
+
+        const featuredSelect = document.getElementById('featuredPreset');
+        featuredSelect.innerHTML = '<option value="">Cycle like the other tiles</option>';
+        [...this.allCameras]
+            .sort((a, b) => a.stationName.localeCompare(b.stationName) || a.presetId.localeCompare(b.presetId))
+            .forEach(camera => {
+                const option = document.createElement('option');
+                option.value = camera.presetId;
+                option.textContent = `${camera.stationName.replace(/_/g, ' ')} – ${camera.presentationName || camera.presetId}`;
+                featuredSelect.appendChild(option);
+            });
+        featuredSelect.value = this.getFeaturedPresetId() || '';
+
+        const presetSelect = document.getElementById('layoutPreset');
+        presetSelect.innerHTML = '<option value="">Saved layouts…</option>';
+        this.config.layoutPresets.forEach((preset, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = preset.name;
+            presetSelect.appendChild(option);
+        });
+        document.getElementById('deleteLayoutPreset').disabled = true;
+    }
+
+    saveLayoutPreset(name) {
+        const preset = {
+            name,
+            gridLayout: this.config.gridLayout,
+            cameraCount: this.config.cameraCount,
+            tileOrder: [...this.config.tileOrder],
+            featuredPresetId: this.getFeaturedPresetId()
+        };
+
+        // Saving under an existing name replaces that layout
+        const existing = this.config.layoutPresets.findIndex(p => p.name === name);
+        if (existing === -1) {
+            this.config.layoutPresets.push(preset);
+        } else {
+            this.config.layoutPresets[existing] = preset;
+        }
+
+        this.saveSettings();
+        this.syncLayoutControls();
+        this.updateStatus(`Layout "${name}" saved`, 'success');
+    }
+
+    applyLayoutPreset(index) {
+        const preset = this.config.layoutPresets[index];
+        if (!preset) return;
+
+        this.config.gridLayout = preset.gridLayout;
+        this.config.cameraCount = preset.cameraCount;
+        this.config.tileOrder = [...preset.tileOrder];
+        document.getElementById('cameraCount').value = String(preset.cameraCount);
+
+        if (preset.featuredPresetId) {
+            this.pinFeaturedPreset(preset.featuredPresetId);
+        }
+        this.setGridLayout(preset.gridLayout);
+
+        document.getElementById('layoutPreset').value = String(index);
+        document.getElementById('deleteLayoutPreset').disabled = false;
+    }
+
+    deleteLayoutPreset(index) {
+        const preset = this.config.layoutPresets[index];
+        if (!preset || !confirm(`Delete layout "${preset.name}"?`)) return;
+
+        this.config.layoutPresets.splice(index, 1);
+        this.saveSettings();
+        this.syncLayoutControls();
+    }
+
+    createCameraPlaceholder(index) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'camera-container camera-placeholder';
+        placeholder.id = `camera-${index}`;
+        placeholder.innerHTML = `
+            <div class="placeholder-content">
+                <div class="placeholder-icon">📷</div>
+                <div>No camera available</div>
+            </div>
+        `;
+        return placeholder;
+    }
+
+    // Load every tile at once; scheduler.limit() bounds the parallel requests
+    async loadCameraImages() {
+        const pageCameras = this.getPageCameras();
+
+        await Promise.all(pageCameras.map((camera, i) => {
+            if (!camera) return null;
+
+            const current = this.currentImages[i];
+            if (current && current.presetId === camera.presetId && this.lockedCameras.has(camera.presetId)) {
+                // Pinned camera is already showing
+                return null;
+            }
+
+            return this.loadSingleCamera(i, camera);
+        }));
+
+        this.prefetchNextPage();
+    }
+
+    /**
+     * Double-buffered page change: the page's images load in the background
+     * while the current page stays up, then every tile swaps in one pass.
+     * Tiles whose image failed fall back to loadSingleCamera() and its
+     * error/retry handling.
+     */
+    async showPage(pageCameras) {
+        const swapId = ++this.pageSwapId;
+
+        const tiles = pageCameras.map((camera, index) => {
+            const container = document.getElementById(`camera-${index}`);
+            if (!camera || !container || container.classList.contains('camera-placeholder')) return null;
+
+            // Pinned tiles and cameras that stay on the page keep their image
+            const current = this.currentImages[index];
+            if (current && current.presetId === camera.presetId && current.measuredTime >= camera.measuredTime) return null;
+
+            return { index, container, camera, src: this.getImageSrc(camera) };
+        }).filter(Boolean);
+
+        const results = await Promise.allSettled(tiles.map(tile => this.prefetchImage(tile.src)));
+
+        // A newer page was requested while this one loaded
+        if (swapId !== this.pageSwapId) return;
+
+        const transition = this.getCycleTransition();
+        tiles.forEach((tile, i) => {
+            if (results[i].status === 'fulfilled') {
+                this.swapTileImage(tile, transition);
+            } else {
+                this.loadSingleCamera(tile.index, tile.camera);
+            }
+        });
+
+        this.prefetchNextPage();
+    }
+
+    // Warm the next cycle step while the current page is showing
+    prefetchNextPage() {
+        if (!this.config.cycling || this.isWallDisplay()) return;
+
+        const nextIndex = this.getNextCycleIndex(1, this.getCycleStepSlots());
+        const keep = new Set(
+            [...this.getPageCameras(), ...(nextIndex === null ? [] : this.getPageCameras(nextIndex))]
+                .filter(Boolean)
+                .map(camera => this.getImageSrc(camera))
+        );
+
+        // Only the current and next page stay referenced
+        this.prefetchedImages.forEach((promise, src) => {
+            if (!keep.has(src)) this.prefetchedImages.delete(src);
+        });
+        keep.forEach(src => this.prefetchImage(src).catch(() => {}));
+    }
+
+    prefetchImage(src) {
+        if (!this.prefetchedImages.has(src)) {
+            const loading = this.preloadImage(src);
+            // A failed prefetch is retried by the next request for it
+            loading.catch(() => this.prefetchedImages.delete(src));
+            this.prefetchedImages.set(src, loading);
+        }
+        return this.prefetchedImages.get(src);
+    }
+
+    /**
+     * Images load with CORS so frames can be analyzed and recorded from the
+     * displayed copy. Hosts that don't send CORS headers fall back to a plain
+     * load, remembered per origin.
+     */
+    preloadImage(src) {
+        return this.scheduler.limit(async () => {
+            const crossOrigin = this.getImageCrossOrigin(src);
+            try {
+                return await this.requestImage(src, crossOrigin);
+            } catch (error) {
+                if (!crossOrigin) throw error;
+
+                const image = await this.requestImage(src, null);
+                this.opaqueImageOrigins.add(new URL(src, window.location.href).origin);
+                return image;
+            }
+        });
+    }
+
+    requestImage(src, crossOrigin) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const timeout = setTimeout(() => {
+                image.onload = image.onerror = null;
+                image.src = ''; // Stop the download
+                reject(new Error('Image load timed out'));
+            }, IMAGE_LOAD_TIMEOUT);
+
+            if (crossOrigin) image.crossOrigin = crossOrigin;
+            image.onload = () => {
+                clearTimeout(timeout);
+                resolve(image);
+            };
+            image.onerror = (error) => {
+                clearTimeout(timeout);
+                reject(error);
+            };
+            image.src = src;
+        });
+    }
+
+    getImageCrossOrigin(src) {
+        return this.opaqueImageOrigins.has(new URL(src, window.location.href).origin) ? null : 'anonymous';
+    }
+
+    // Same CORS mode as the preload, so the browser cache serves the displayed image
+    setImageSource(img, src) {
+        const crossOrigin = this.getImageCrossOrigin(src);
+        if (crossOrigin) {
+            img.crossOrigin = crossOrigin;
+        } else {
+            img.removeAttribute('crossorigin');
+        }
+        img.src = src;
+    }
+
+    // Wait until the image's current src can be drawn; false if it failed or was replaced
+    async isImageReady(img) {
+        const src = img.src;
+        try {
+            await img.decode();
+        } catch (error) {
+            return false;
+        }
+        return img.src === src;
+    }
+
+    swapTileImage({ index, container, camera, src }, transition) {
+        const img = container.querySelector('.camera-image');
+
+        this.tileLoads.set(index, camera.presetId);
+        this.cancelTileRetry(index, camera);
+        this.hideCameraError(container);
+        this.playTileTransition(img, transition);
+
+        this.setImageSource(img, src);
+        img.alt = 'Camera view';
+        this.showLoadedCamera(container, index, camera);
+    }
+
+    getCycleTransition() {
+        const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        return reducedMotion ? 'none' : this.config.cycleTransition;
+    }
+
+    // Keep the outgoing image on top of the new one until the transition ends
+    playTileTransition(img, transition) {
+        if (transition === 'none' || img.classList.contains('hidden') || !img.getAttribute('src')) return;
+
+        const previous = img.cloneNode();
+        previous.className = `camera-image-previous ${transition}-out`;
+        img.after(previous);
+
+        if (transition === 'slide') {
+            img.classList.remove('slide-in');
+            void img.offsetWidth;
+            img.classList.add('slide-in');
+        }
+
+        setTimeout(() => {
+            previous.remove();
+            img.classList.remove('slide-in');
+        }, CYCLE_TRANSITION_DURATION);
+    }
+
+    // Resolves true once the tile shows the camera's image
+    async loadSingleCamera(containerIndex, camera) {
+        const container = document.getElementById(`camera-${containerIndex}`);
+        if (!container || container.classList.contains('camera-placeholder')) {
+            return false;
+        }
+
+        const img = container.querySelector('.camera-image');
+        const loading = container.querySelector('.camera-loading');
+        const info = container.querySelector('.camera-info');
+
+        this.tileLoads.set(containerIndex, camera.presetId);
+        this.cancelTileRetry(containerIndex, camera);
+
+        // The tile may be rebuilt or given another camera while this one loads
+        const isCurrent = () => container.isConnected && this.tileLoads.get(containerIndex) === camera.presetId;
+
+        try {
+            // Show loading state
+            loading.classList.remove('hidden');
+            img.classList.add('hidden');
+            this.hideCameraError(container);
+
+            // Load image
+            if (!(await this.loadImage(img, this.getImageSrc(camera), isCurrent))) return false;
+            this.showLoadedCamera(container, containerIndex, camera);
+            return true;
+
+        } catch (error) {
+            console.error('Error loading camera image:', error);
+            this.recordLoadFailure(camera, error);
+
+            if (!isCurrent()) return false;
+
+            this.currentImages[containerIndex] = null;
+            this.scheduleTileRetry(containerIndex, camera);
+            return false;
+        }
+    }
+
+    showLoadedCamera(container, containerIndex, camera) {
+        // Update info
+        this.updateCameraInfo(container, camera);
+        this.setLockState(container, this.lockedCameras.has(camera.presetId));
+        this.applyStaleState(container, camera);
+        this.applyImageIssueState(container, camera);
+
+        // Show image
+        container.querySelector('.camera-loading').classList.add('hidden');
+        container.querySelector('.camera-image').classList.remove('hidden');
+
+        // Store current image data
+        this.currentImages[containerIndex] = camera;
+        this.recordLoadSuccess(camera);
+        this.recordFrame(camera, container.querySelector('.camera-image'));
+        this.analyzeFrame(camera, container.querySelector('.camera-image'));
+        this.tileRetries.delete(containerIndex);
+    }
+
+    /**
+     * Self-healing tiles: a failed tile keeps its structure and shows an error
+     * with a retry countdown. Retries back off exponentially, and after
+     * TILE_MAX_FAILURES failures the tile swaps in the next camera.
+     */
+    scheduleTileRetry(index, camera) {
+        const previous = this.tileRetries.get(index);
+        const failures = previous && previous.presetId === camera.presetId ? previous.failures + 1 : 1;
+
+        // Pinned tiles keep their camera and retry at the slowest pace instead
+        if (failures >= TILE_MAX_FAILURES && !this.lockedCameras.has(camera.presetId)) {
+            const replacement = this.getReplacementCamera(index, camera);
+            if (replacement) {
+                console.warn(`Camera ${camera.presetId} failed ${failures} times, showing ${replacement.presetId} instead`);
+                this.tileRetries.delete(index);
+                this.loadSingleCamera(index, replacement);
+                return;
+            }
+        }
+
+        const delay = Math.min(TILE_RETRY_DELAY * 2 ** (failures - 1), TILE_RETRY_MAX_DELAY);
+        const retry = { presetId: camera.presetId, failures, retryAt: Date.now() + delay, timer: null, countdown: null };
+        this.tileRetries.set(index, retry);
+
+        const container = document.getElementById(`camera-${index}`);
+        this.showCameraError(container, 'Failed to load image', retry);
+
+        retry.countdown = setInterval(() => this.updateRetryCountdown(container, retry), 1000);
+        retry.timer = setTimeout(() => {
+            clearInterval(retry.countdown);
+            if (this.tileRetries.get(index) === retry) {
+                this.loadSingleCamera(index, camera);
+            }
+        }, delay);
+    }
+
+    // Stop a pending retry; the failure count only survives for the same camera
+    cancelTileRetry(index, camera) {
+        const retry = this.tileRetries.get(index);
+        if (!retry) return;
+
+        clearTimeout(retry.timer);
+        clearInterval(retry.countdown);
+        if (retry.presetId !== camera.presetId) {
+            this.tileRetries.delete(index);
+        }
+    }
+
+    clearTileRetries() {
+        this.tileRetries.forEach(retry => {
+            clearTimeout(retry.timer);
+            clearInterval(retry.countdown);
+        });
+        this.tileRetries.clear();
+        this.tileLoads.clear();
+    }
+
+    // Next filtered camera after the failed one that isn't on screen or failing too
+    getReplacementCamera(index, camera) {
+        const available = this.getFilteredCameras();
+        const shown = new Set(this.currentImages.filter(Boolean).map(c => c.presetId));
+        this.tileLoads.forEach((presetId, tile) => {
+            if (tile !== index) shown.add(presetId);
+        });
+
+        const start = available.findIndex(c => c.presetId === camera.presetId);
+        for (let offset = 1; offset < available.length; offset++) {
+            const candidate = available[(start + offset + available.length) % available.length];
+            if (candidate.presetId === camera.presetId || shown.has(candidate.presetId)) continue;
+            if (this.lockedCameras.has(candidate.presetId)) continue;
+            if (this.getHealthStatus(candidate, this.getHealth(candidate.presetId)) === 'failing') continue;
+            return candidate;
+        }
+
+        return null;
+    }
+
+    /**
+     * Image URL versioned by capture time: the browser cache serves repeats,
+     * a new capture gets a new URL
+     */
+    getImageSrc(camera) {
+        const separator = camera.imageUrl.includes('?') ? '&' : '?';
+        return `${camera.imageUrl}${separator}t=${camera.measuredTime.getTime()}`;
+    }
+
+    // Show url in img once loaded, unless isCurrent() says the image moved on meanwhile
+    async loadImage(img, url, isCurrent = () => true) {
+        await (this.prefetchedImages.get(url) || this.preloadImage(url));
+        if (!isCurrent()) return false;
+
+        this.setImageSource(img, url);
+        img.alt = 'Camera view';
+        return true;
+    }
+
+    updateCameraInfo(container, camera) {
+        const title = container.querySelector('.camera-title');
+        const details = container.querySelector('.camera-details');
+        const timestamp = container.querySelector('.camera-timestamp');
+        const municipalityTag = container.querySelector('.municipality-tag');
+
+        title.textContent = camera.presentationName || 'Camera';
+        details.textContent = camera.stationName.replace(/_/g, ' ');
+        if (camera.distanceKm !== undefined) {
+            details.textContent += ` · ${camera.distanceKm.toFixed(1)} km`;
+        }
+        timestamp.textContent = camera.age;
+        municipalityTag.textContent = camera.municipality;
+        this.renderWeatherBadge(container.querySelector('.weather-badge'), camera);
+    }
+
+    // Error state over the tile; the image, info and lock button stay in place
+    showCameraError(container, message, retry = null) {
+        container.querySelector('.camera-loading').classList.add('hidden');
+        container.querySelector('.camera-image').classList.add('hidden');
+        container.querySelector('.camera-error-message').textContent = message;
+        container.querySelector('.camera-error').classList.remove('hidden');
+        this.updateRetryCountdown(container, retry);
+    }
+
+    hideCameraError(container) {
+        container.querySelector('.camera-error').classList.add('hidden');
+        this.updateRetryCountdown(container, null);
+    }
+
+    updateRetryCountdown(container, retry) {
+        const text = container.querySelector('.camera-error-retry');
+        if (!retry) {
+            text.textContent = '';
+            return;
+        }
+
+        const seconds = Math.max(Math.ceil((retry.retryAt - Date.now()) / 1000), 0);
+        text.textContent = `Retrying in ${seconds}s (attempt ${retry.failures + 1})`;
+    }
+
+    showNoCamerasMessage() {
+        const grid = document.getElementById('cameraGrid');
+        grid.innerHTML = `
+            <div class="col-span-full flex flex-col items-center justify-center py-20">
+                <svg class="w-16 h-16 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"></path>
+                </svg>
+                <h3 class="text-xl text-gray-400 mb-2">No cameras available</h3>
+                <p class="text-gray-500 text-center">
+                    No cameras match your current filters.<br>
+                    Try adjusting your settings or check back later.
+                </p>
+            </div>
+        `;
+    }
+
+    showCameraModal(containerIndex) {
+        const container = document.getElementById(`camera-${containerIndex}`);
+        
+        // Don't show modal for placeholders
+        if (!container || container.classList.contains('camera-placeholder')) {
+            return;
+        }
+        
+        const camera = this.currentImages[containerIndex];
+        if (!camera) return;
+
+        this.openCameraModal(camera);
+    }
+
+    openCameraModal(camera, { replaceUrl = false } = {}) {
+        const modal = document.getElementById('cameraModal');
+        const image = document.getElementById('modalImage');
+
+        this.setImageSource(image, this.getImageSrc(camera));
+        image.alt = camera.presentationName;
+
+        // A different camera starts unzoomed
+        if (!this.modalCamera || this.modalCamera.presetId !== camera.presetId) {
+            this.resetModalZoom();
+        }
+
+        this.renderModalDetails(camera);
+
+        modal.classList.remove('hidden');
+        modal.style.display = 'flex';
+
+        this.modalCamera = camera;
+        this.updateUrl(replaceUrl);
+        this.loadTimelapse(camera);
+    }
+
+    renderModalDetails(camera) {
+        const title = document.getElementById('modalTitle');
+        const info = document.getElementById('modalInfo');
+
+        title.textContent = `${camera.presentationName} - ${camera.stationName.replace(/_/g, ' ')}`;
+
+        info.innerHTML = `
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                <div>
+                    <strong>Municipality:</strong> ${camera.municipality}<br>
+                    <strong>Station:</strong> ${camera.stationName.replace(/_/g, ' ')}<br>
+                    <strong>Camera ID:</strong> ${camera.cameraId}
+                </div>
+                <div>
+                    <strong>Last Updated:</strong> ${camera.age}<br>
+                    <strong>Coordinates:</strong> ${camera.lat.toFixed(4)}, ${camera.lon.toFixed(4)}<br>
+                    <strong>Preset ID:</strong> ${camera.presetId}
+                </div>
+            </div>
+        `;
+
+        this.renderStationPresets(camera);
+        this.renderModalWeather(camera);
+        document.getElementById('modalPriority').value = String(this.getCameraPriority(camera.presetId));
+    }
+
+    // Thumbnails of the other presets on the same camera station
+    renderStationPresets(camera) {
+        const strip = document.getElementById('modalPresets');
+        const siblings = this.allCameras
+            .filter(c => c.cameraId === camera.cameraId)
+            .sort((a, b) => a.presetId.localeCompare(b.presetId));
+
+        strip.innerHTML = '';
+        strip.classList.toggle('hidden', siblings.length < 2);
+        if (siblings.length < 2) return;
+
+        siblings.forEach(sibling => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'modal-preset';
+            button.classList.toggle('active', sibling.presetId === camera.presetId);
+            button.title = sibling.presentationName || sibling.presetId;
+
+            const thumbnail = document.createElement('img');
+            this.setImageSource(thumbnail, this.getImageSrc(sibling));
+            thumbnail.alt = button.title;
+            thumbnail.loading = 'lazy';
+
+            const label = document.createElement('span');
+            label.textContent = button.title;
+
+            button.append(thumbnail, label);
+            button.addEventListener('click', () => this.openCameraModal(sibling, { replaceUrl: true }));
+            strip.appendChild(button);
+        });
+    }
+
+    // Step through the current filtered camera list, wrapping at the ends
+    stepModalCamera(direction) {
+        if (!this.modalCamera) return;
+
+        const cameras = this.getFilteredCameras();
+        if (cameras.length === 0) return;
+
+        const position = cameras.findIndex(c => c.presetId === this.modalCamera.presetId);
+        const next = position === -1
+            ? 0
+            : (position + direction + cameras.length) % cameras.length;
+
+        this.openCameraModal(cameras[next], { replaceUrl: true });
+    }
+
+    // Swap in the latest frame while the modal is open, unless history is being viewed
+    async refreshModalImage() {
+        const camera = this.modalCamera;
+        if (!camera) return;
+
+        const latest = this.allCameras.find(c => c.presetId === camera.presetId);
+        if (!latest || latest.measuredTime <= camera.measuredTime) return;
+
+        const updatedCamera = { ...camera, ...latest };
+        const scrubber = document.getElementById('timelapseScrubber');
+        const viewingHistory = this.timelapseTimer || parseInt(scrubber.value) < parseInt(scrubber.max);
+
+        if (!viewingHistory) {
+            const image = document.getElementById('modalImage');
+            try {
+                await this.loadImage(image, this.getImageSrc(updatedCamera));
+            } catch (error) {
+                // Keep showing the previous frame; a failed image must not back off the refresh task
+                console.error('Error loading modal image:', error);
+                this.recordLoadFailure(updatedCamera, error);
+                return;
+            }
+            image.alt = updatedCamera.presentationName;
+        }
+
+        // The modal may have closed or moved on while the image loaded
+        if (this.modalCamera !== camera) return;
+
+        this.modalCamera = updatedCamera;
+        this.renderModalDetails(updatedCamera);
+        if (!viewingHistory) {
+            this.recordFrame(updatedCamera, document.getElementById('modalImage'));
+            this.loadTimelapse(updatedCamera);
+        }
+    }
+
+    /**
+     * Zoom and pan on the modal image: wheel or pinch to zoom around the
+     * pointer, drag to pan, double-click to reset
+     */
+    resetModalZoom() {
+        this.modalZoom = { scale: 1, x: 0, y: 0 };
+        this.applyModalZoom();
+    }
+
+    applyModalZoom() {
+        const viewport = document.getElementById('modalImageViewport');
+        const image = document.getElementById('modalImage');
+        const { width, height } = viewport.getBoundingClientRect();
+        const zoom = this.modalZoom;
+
+        // Keep the image covering the viewport
+        zoom.x = Math.min(0, Math.max(width - width * zoom.scale, zoom.x));
+        zoom.y = Math.min(0, Math.max(height - height * zoom.scale, zoom.y));
+
+        image.style.transform = `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`;
+        viewport.classList.toggle('zoomed', zoom.scale > 1);
+    }
+
+    // Zoom to a new scale keeping the viewport point (px, py) in place
+    zoomModalImage(scale, px, py) {
+        const zoom = this.modalZoom;
+        const newScale = Math.min(MODAL_MAX_ZOOM, Math.max(1, scale));
+        const ratio = newScale / zoom.scale;
+
+        zoom.x = px - (px - zoom.x) * ratio;
+        zoom.y = py - (py - zoom.y) * ratio;
+        zoom.scale = newScale;
+        this.applyModalZoom();
+    }
+
+    setupModalZoom() {
+        const viewport = document.getElementById('modalImageViewport');
+        const pointers = new Map();
+        let pinchDistance = null;
+
+        const localPoint = (x, y) => {
+            const rect = viewport.getBoundingClientRect();
+            return [x - rect.left, y - rect.top];
+        };
+
+        viewport.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const [px, py] = localPoint(e.clientX, e.clientY);
+            this.zoomModalImage(this.modalZoom.scale * Math.exp(-e.deltaY * 0.002), px, py);
+        }, { passive: false });
+
+        viewport.addEventListener('pointerdown', (e) => {
+            viewport.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        });
+
+        viewport.addEventListener('pointermove', (e) => {
+            const previous = pointers.get(e.pointerId);
+            if (!previous) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (pointers.size === 2) {
+                const [a, b] = [...pointers.values()];
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                if (pinchDistance) {
+                    const [px, py] = localPoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+                    this.zoomModalImage(this.modalZoom.scale * distance / pinchDistance, px, py);
+                }
+                pinchDistance = distance;
+            } else if (this.modalZoom.scale > 1) {
+                this.modalZoom.x += e.clientX - previous.x;
+                this.modalZoom.y += e.clientY - previous.y;
+                this.applyModalZoom();
+            }
+        });
+
+        const endPointer = (e) => {
+            pointers.delete(e.pointerId);
+            if (pointers.size < 2) pinchDistance = null;
+        };
+        viewport.addEventListener('pointerup', endPointer);
+        viewport.addEventListener('pointercancel', endPointer);
+
+        viewport.addEventListener('dblclick', () => this.resetModalZoom());
+    }
+
+    /**
+     * Image history: captured frames per preset, keyed by measuredTime, kept
+     * in IndexedDB up to config.historyLimit frames per preset
+     */
+    openHistoryDb() {
+        if (this.historyDbPromise) return this.historyDbPromise;
+
+        this.historyDbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(HISTORY_DB_NAME, 1);
+
+            request.onupgradeneeded = () => {
+                // Primary key [presetId, measuredTime] keeps each preset's frames in time order
+                request.result.createObjectStore('frames', { keyPath: ['presetId', 'measuredTime'] });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.historyDbPromise;
+    }
+
+    idbRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    presetFrameRange(presetId) {
+        return IDBKeyRange.bound([presetId, -Infinity], [presetId, Infinity]);
+    }
+
+    // Store the frame shown in img once per capture time; frames from hosts without CORS can't be read and are skipped
+    async recordFrame(camera, img) {
+        if (!this.config.historyLimit) return;
+
+        const measuredTime = camera.measuredTime.getTime();
+        if (this.lastRecordedFrames.get(camera.presetId) === measuredTime) return;
+        this.lastRecordedFrames.set(camera.presetId, measuredTime);
+
+        try {
+            if (!(await this.isImageReady(img))) return;
+
+            const blob = await this.captureFrame(img);
+            if (!blob) return;
+
+            const db = await this.openHistoryDb();
+            const store = db.transaction('frames', 'readwrite').objectStore('frames');
+            await this.idbRequest(store.put({
+                presetId: camera.presetId,
+                measuredTime,
+                imageUrl: camera.imageUrl,
+                blob
+            }));
+
+            await this.pruneFrames(camera.presetId);
+        } catch (error) {
+            console.error('Error recording frame:', error);
+        }
+    }
+
+    // Re-encode the displayed image, so history needs no second download
+    async captureFrame(img) {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+
+        const context = canvas.getContext('2d');
+        if (!context || !canvas.width || !canvas.height) return null;
+
+        context.drawImage(img, 0, 0);
+        try {
+            return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', HISTORY_FRAME_QUALITY));
+        } catch (error) {
+            // Tainted by a cross-origin image without CORS
+            return null;
+        }
+    }
+
+    async pruneFrames(presetId) {
+        const db = await this.openHistoryDb();
+        const store = db.transaction('frames', 'readwrite').objectStore('frames');
+        const keys = await this.idbRequest(store.getAllKeys(this.presetFrameRange(presetId)));
+
+        // Keys are sorted oldest first
+        const excess = keys.slice(0, Math.max(keys.length - this.config.historyLimit, 0));
+        await Promise.all(excess.map(key => this.idbRequest(store.delete(key))));
+    }
+
+    async getFrames(presetId) {
+        try {
+            const db = await this.openHistoryDb();
+            const store = db.transaction('frames', 'readonly').objectStore('frames');
+            return await this.idbRequest(store.getAll(this.presetFrameRange(presetId)));
+        } catch (error) {
+            console.error('Error reading frame history:', error);
+            return [];
+        }
+    }
+
+    // Load the modal camera's history into the timelapse scrubber
+    async loadTimelapse(camera) {
+        this.stopTimelapse();
+        this.releaseTimelapseFrames();
+
+        const frameCount = parseInt(document.getElementById('timelapseFrames').value);
+        const frames = (await this.getFrames(camera.presetId)).slice(-frameCount);
+
+        // The modal may have moved on while history was loading
+        if (this.modalCamera !== camera) return;
+
+        this.timelapseFrames = frames.map(frame => ({
+            measuredTime: new Date(frame.measuredTime),
+            url: frame.blob ? URL.createObjectURL(frame.blob) : frame.imageUrl,
+            objectUrl: Boolean(frame.blob)
+        }));
+
+        const controls = document.getElementById('timelapseControls');
+        const scrubber = document.getElementById('timelapseScrubber');
+
+        controls.classList.toggle('hidden', this.timelapseFrames.length < 2);
+        scrubber.max = Math.max(this.timelapseFrames.length - 1, 0);
+        scrubber.value = scrubber.max;
+        this.updateTimelapseLabel();
+    }
+
+    showTimelapseFrame(position) {
+        const frame = this.timelapseFrames[position];
+        if (!frame) return;
+
+        this.setImageSource(document.getElementById('modalImage'), frame.url);
+        document.getElementById('timelapseScrubber').value = position;
+        this.updateTimelapseLabel();
+    }
+
+    updateTimelapseLabel() {
+        const position = parseInt(document.getElementById('timelapseScrubber').value);
+        const frame = this.timelapseFrames[position];
+
+        document.getElementById('timelapseTime').textContent = frame
+            ? `${frame.measuredTime.toLocaleTimeString()} (${position + 1}/${this.timelapseFrames.length})`
+            : '';
+    }
+
+    toggleTimelapse() {
+        if (this.timelapseTimer) {
+            this.stopTimelapse();
+            return;
+        }
+
+        const scrubber = document.getElementById('timelapseScrubber');
+        let position = parseInt(scrubber.value);
+
+        // Start from the beginning when already at the latest frame
+        if (position >= this.timelapseFrames.length - 1) position = -1;
+
+        document.getElementById('timelapsePlay').textContent = '⏸';
+        this.timelapseTimer = setInterval(() => {
+            position++;
+            if (position >= this.timelapseFrames.length) {
+                this.stopTimelapse();
+                return;
+            }
+            this.showTimelapseFrame(position);
+        }, TIMELAPSE_FRAME_INTERVAL);
+    }
+
+    stopTimelapse() {
+        if (this.timelapseTimer) {
+            clearInterval(this.timelapseTimer);
+            this.timelapseTimer = null;
+        }
+        document.getElementById('timelapsePlay').textContent = '▶';
+    }
+
+    releaseTimelapseFrames() {
+        this.timelapseFrames.forEach(frame => {
+            if (frame.objectUrl) URL.revokeObjectURL(frame.url);
+        });
+        this.timelapseFrames = [];
+    }
+
+    /**
+     * Road weather overlay: readings from the nearest weather station within
+     * config.weatherMaxDistance km of each camera station
+     */
+    resolveWeatherSource() {
+        const params = new URLSearchParams(window.location.search);
+        const cameraSource = this.config.dataSource;
+
+        // Follow the camera source, so a mocked GraphQL endpoint serves both feeds
+        const type = params.get('weather') || cameraSource.type;
+        if (!WEATHER_DATA_SOURCES[type]) {
+            console.warn(`No weather data source "${type}", weather overlay unavailable`);
+            return null;
+        }
+
+        // Only the GraphQL proxy serves cameras and weather from one endpoint; Digitraffic
+        // keeps them under different API roots
+        const sharedEndpoint = type === 'oulunliikenne' && cameraSource.type === 'oulunliikenne';
+        const endpoint = params.get('weatherEndpoint') ||
+            (sharedEndpoint ? cameraSource.endpoint : null) ||
+            WEATHER_DATA_SOURCES[type].defaultEndpoint;
+
+        return { type, endpoint };
+    }
+
+    setWeatherOverlay(enabled) {
+        this.config.weatherOverlay = enabled;
+
+        if (enabled && this.weatherSource) {
+            this.scheduler.addTask('weather', WEATHER_REFRESH_INTERVAL, () => this.loadWeather());
+            this.scheduler.runNow('weather');
+        } else {
+            this.scheduler.removeTask('weather');
+            this.weatherStations = [];
+            this.cameraWeather.clear();
+            this.updateWeatherBadges();
+        }
+    }
+
+    async loadWeather() {
+        const { type, endpoint } = this.weatherSource;
+        const stations = await this.scheduler.limit(() => WEATHER_DATA_SOURCES[type].load(endpoint));
+
+        // The overlay may have been switched off while loading
+        if (!this.config.weatherOverlay) return;
+
+        this.weatherStations = stations.filter(station => Number.isFinite(station.lat) && Number.isFinite(station.lon));
+        console.log('Loaded', this.weatherStations.length, 'weather stations');
+
+        this.assignWeather();
+        this.updateWeatherBadges();
+    }
+
+    // Nearest weather station per camera station, within the configured distance
+    assignWeather() {
+        this.cameraWeather.clear();
+        if (this.weatherStations.length === 0) return;
+
+        this.getStations().forEach(station => {
+            const from = turf.point([station.lon, station.lat]);
+            let nearest = null;
+
+            this.weatherStations.forEach(weatherStation => {
+                const distanceKm = turf.distance(from, turf.point([weatherStation.lon, weatherStation.lat]));
+                if (distanceKm <= this.config.weatherMaxDistance && (!nearest || distanceKm < nearest.distanceKm)) {
+                    nearest = { ...weatherStation, distanceKm };
+                }
+            });
+
+            if (nearest) this.cameraWeather.set(station.cameraId, nearest);
+        });
+    }
+
+    // Short reading summary, e.g. "Air -8.4° · Road -10.1° · Grip 0.42 · 0.6 mm/h"
+    formatWeather(weather) {
+        const parts = [];
+        if (weather.airTemperature !== null) parts.push(`Air ${weather.airTemperature.toFixed(1)}°`);
+        if (weather.roadTemperature !== null) parts.push(`Road ${weather.roadTemperature.toFixed(1)}°`);
+        if (weather.friction !== null) parts.push(`Grip ${weather.friction.toFixed(2)}`);
+        if (weather.precipitation !== null) {
+            parts.push(weather.precipitation > 0 ? `${weather.precipitation.toFixed(1)} mm/h` : 'Dry');
+        }
+        return parts.join(' · ');
+    }
+
+    renderWeatherBadge(badge, camera) {
+        const weather = this.cameraWeather.get(camera.cameraId);
+        const text = weather ? this.formatWeather(weather) : '';
+
+        badge.textContent = text;
+        badge.title = weather
+            ? `${weather.name.replace(/_/g, ' ')}, ${weather.distanceKm.toFixed(1)} km away`
+            : '';
+        badge.classList.toggle('hidden', !text);
+
+        // Road below freezing is worth noticing from across the room
+        badge.classList.toggle('weather-freezing', Boolean(weather) && weather.roadTemperature !== null && weather.roadTemperature <= 0);
+    }
+
+    updateWeatherBadges() {
+        this.currentImages.forEach((camera, index) => {
+            const container = document.getElementById(`camera-${index}`);
+            const badge = container && container.querySelector('.weather-badge');
+            if (camera && badge) this.renderWeatherBadge(badge, camera);
+        });
+
+        if (this.modalCamera) this.renderModalWeather(this.modalCamera);
+    }
+
+    renderModalWeather(camera) {
+        const section = document.getElementById('modalWeather');
+        const weather = this.cameraWeather.get(camera.cameraId);
+
+        section.classList.toggle('hidden', !weather);
+        if (!weather) return;
+
+        const reading = (label, value) => (value === null ? '' : `<strong>${label}:</strong> ${value}<br>`);
+        section.innerHTML = `
+            <div class="text-sm">
+                <strong>Road weather</strong> – ${weather.name.replace(/_/g, ' ')}, ${weather.distanceKm.toFixed(1)} km away
+                (${this.getImageAge(weather.measuredTime)})<br>
+                ${reading('Air temperature', weather.airTemperature === null ? null : `${weather.airTemperature.toFixed(1)} °C`)}
+                ${reading('Road temperature', weather.roadTemperature === null ? null : `${weather.roadTemperature.toFixed(1)} °C`)}
+                ${reading('Friction', weather.friction === null ? null : weather.friction.toFixed(2))}
+                ${reading('Precipitation', weather.precipitation === null ? null : `${weather.precipitation.toFixed(1)} mm/h`)}
+            </div>
+        `;
+    }
+
+    /**
+     * Camera health: per-preset load failures, observed image ages and when a
+     * new frame last appeared. Persisted so reports survive kiosk reboots.
+     */
+    loadHealth() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(HEALTH_STORAGE_KEY) || '[]');
+            stored.forEach(entry => this.cameraHealth.set(entry.presetId, entry));
+        } catch (error) {
+            console.warn('Ignoring unreadable camera health data:', error);
+        }
+    }
+
+    // Batch the frequent small changes into one write
+    scheduleHealthSave() {
+        if (this.healthSaveTimer) return;
+        this.healthSaveTimer = setTimeout(() => this.saveHealth(), HEALTH_SAVE_DELAY);
+    }
+
+    saveHealth() {
+        clearTimeout(this.healthSaveTimer);
+        this.healthSaveTimer = null;
+
+        try {
+            localStorage.setItem(HEALTH_STORAGE_KEY, JSON.stringify([...this.cameraHealth.values()]));
+        } catch (error) {
+            console.warn('Failed to save camera health data:', error);
+        }
+    }
+
+    getHealth(presetId) {
+        if (!this.cameraHealth.has(presetId)) {
+            this.cameraHealth.set(presetId, {
+                presetId,
+                consecutiveFailures: 0,
+                totalFailures: 0,
+                lastError: null,
+                lastSuccess: null,
+                lastMeasuredTime: null,
+                lastNewFrameSeen: null,
+                ageSamples: [], // Image age in minutes at each observation
+                frameHash: null, // Perceptual hash of the last analyzed frame
+                frameRepeats: 0, // New frames in a row that matched the previous picture
+                frameIssue: null, // Key of FRAME_ISSUE_LABELS, or null for a good picture
+                lastAnalyzedTime: null, // measuredTime of the last analyzed frame
+                frameCheckedAt: null
+            });
+        }
+        return this.cameraHealth.get(presetId);
+    }
+
+    // Sample image ages and detect new frames whenever fresh data arrives
+    observeCameraHealth(cameras) {
+        const now = Date.now();
+
+        // Presets that left the data source take their records with them
+        const known = new Set(cameras.map(camera => camera.presetId));
+        this.cameraHealth.forEach((health, presetId) => {
+            if (!known.has(presetId)) this.cameraHealth.delete(presetId);
+        });
+
+        cameras.forEach(camera => {
+            const health = this.getHealth(camera.presetId);
+            const measuredTime = camera.measuredTime.getTime();
+
+            if (measuredTime !== health.lastMeasuredTime) {
+                if (health.lastMeasuredTime !== null && measuredTime > health.lastMeasuredTime) {
+                    health.lastNewFrameSeen = now;
+                }
+                health.lastMeasuredTime = measuredTime;
+            }
+
+            health.ageSamples.push(Math.round((now - measuredTime) / 60000));
+            if (health.ageSamples.length > HEALTH_AGE_SAMPLES) {
+                health.ageSamples.shift();
+            }
+        });
+
+        this.scheduleHealthSave();
+    }
+
+    recordLoadSuccess(camera) {
+        const health = this.getHealth(camera.presetId);
+        health.consecutiveFailures = 0;
+        health.lastSuccess = Date.now();
+        this.scheduleHealthSave();
+    }
+
+    recordLoadFailure(camera, error) {
+        const health = this.getHealth(camera.presetId);
+        health.consecutiveFailures++;
+        health.totalFailures++;
+        health.lastError = (error && error.message) || 'Image failed to load';
+        this.scheduleHealthSave();
+    }
+
+    isStale(camera) {
+        // A snapshot is judged by when it was saved
+        const reference = this.offlineSnapshotTime ? this.offlineSnapshotTime.getTime() : Date.now();
+        return reference - camera.measuredTime > this.config.staleHours * 60 * 60 * 1000;
+    }
+
+    getHealthStatus(camera, health) {
+        if (health.consecutiveFailures >= HEALTH_FAILURE_THRESHOLD) return 'failing';
+        if (health.frameIssue) return health.frameIssue;
+        if (this.isStale(camera)) return 'stale';
+        return 'ok';
+    }
+
+    // One report row per known preset
+    getHealthReport() {
+        const median = values => {
+            if (values.length === 0) return null;
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+
+        return this.allCameras.map(camera => {
+            const health = this.getHealth(camera.presetId);
+
+            return {
+                presetId: camera.presetId,
+                camera: camera.presentationName || camera.presetId,
+                station: camera.stationName.replace(/_/g, ' '),
+                municipality: camera.municipality,
+                status: this.getHealthStatus(camera, health),
+                ageMinutes: Math.round((Date.now() - camera.measuredTime) / 60000),
+                medianAgeMinutes: median(health.ageSamples),
+                maxAgeMinutes: health.ageSamples.length ? Math.max(...health.ageSamples) : null,
+                consecutiveFailures: health.consecutiveFailures,
+                totalFailures: health.totalFailures,
+                lastSuccess: health.lastSuccess ? new Date(health.lastSuccess) : null,
+                lastNewFrame: health.lastNewFrameSeen ? new Date(health.lastNewFrameSeen) : null,
+                lastError: health.lastError || ''
+            };
+        });
+    }
+
+    showHealthPanel() {
+        const panel = document.getElementById('healthPanel');
+        panel.classList.remove('hidden');
+        panel.style.display = 'flex';
+        this.renderHealthPanel();
+    }
+
+    closeHealthPanel() {
+        const panel = document.getElementById('healthPanel');
+        panel.classList.add('hidden');
+        panel.style.display = 'none';
+    }
+
+    sortHealthBy(column) {
+        if (this.healthSort.column === column) {
+            this.healthSort.direction *= -1;
+        } else {
+            this.healthSort = { column, direction: 1 };
+        }
+        this.renderHealthPanel();
+    }
+
+    renderHealthPanel() {
+        const { column, direction } = this.healthSort;
+        const rows = this.getHealthReport().sort((a, b) => {
+            const x = a[column];
+            const y = b[column];
+            if (x === y) return 0;
+            if (x === null) return 1;
+            if (y === null) return -1;
+            return (x > y ? 1 : -1) * direction;
+        });
+
+        const counts = { ok: 0, stale: 0, failing: 0, image: 0 };
+        rows.forEach(row => counts[row.status in FRAME_ISSUE_LABELS ? 'image' : row.status]++);
+        document.getElementById('healthSummary').textContent =
+            `${rows.length} cameras · ${counts.ok} OK · ${counts.stale} stale · ${counts.failing} failing · ${counts.image} bad image`;
+
+        document.querySelectorAll('#healthTable th[data-column]').forEach(th => {
+            th.classList.toggle('sorted-asc', th.dataset.column === column && direction === 1);
+            th.classList.toggle('sorted-desc', th.dataset.column === column && direction === -1);
+        });
+
+        const formatMinutes = minutes => (minutes === null ? '–' : this.formatDuration(minutes));
+        const formatTime = date => (date ? date.toLocaleString() : '–');
+
+        const body = document.getElementById('healthTableBody');
+        body.innerHTML = '';
+
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = row.status in FRAME_ISSUE_LABELS ? 'health-image' : `health-${row.status}`;
+
+            [
+                row.camera,
+                row.station,
+                row.municipality,
+                FRAME_ISSUE_LABELS[row.status] || row.status,
+                formatMinutes(row.ageMinutes),
+                formatMinutes(row.medianAgeMinutes),
+                formatMinutes(row.maxAgeMinutes),
+                row.consecutiveFailures,
+                row.totalFailures,
+                formatTime(row.lastSuccess),
+                formatTime(row.lastNewFrame)
+            ].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+
+            tr.title = row.lastError;
+            body.appendChild(tr);
+        });
+    }
+
+    formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    exportHealthCsv() {
+        const columns = [
+            'presetId', 'camera', 'station', 'municipality', 'status', 'ageMinutes', 'medianAgeMinutes',
+            'maxAgeMinutes', 'consecutiveFailures', 'totalFailures', 'lastSuccess', 'lastNewFrame', 'lastError'
+        ];
+
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = value instanceof Date ? value.toISOString() : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.join(',')].concat(
+            this.getHealthReport().map(row => columns.map(column => escape(row[column])).join(','))
+        );
+
+        const url = URL.createObjectURL(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `camera-health-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Apply the staleness policy's dim/badge styling to a tile
+    applyStaleState(container, camera) {
+        const stale = this.isStale(camera);
+        container.classList.toggle('stale-dim', stale && this.config.stalePolicy === 'dim');
+        container.querySelector('.stale-badge').classList.toggle('hidden', !(stale && this.config.stalePolicy === 'badge'));
+    }
+
+    /**
+     * Frame analysis: every new frame is downscaled on a canvas to catch
+     * pictures the timestamps can't reveal. Black, overexposed and featureless
+     * frames are judged by luminance and its spread; a perceptual hash (dHash)
+     * matching the previous frame despite a newer timestamp means frozen.
+     * Results live in the camera's health record.
+     */
+    async analyzeFrame(camera, img) {
+        if (this.config.imageIssuePolicy === 'off') return;
+
+        const health = this.getHealth(camera.presetId);
+        const measuredTime = camera.measuredTime.getTime();
+        if (health.lastAnalyzedTime === measuredTime) return;
+
+        // The tile's src was just set; wait until the frame can be drawn
+        if (!(await this.isImageReady(img))) return;
+
+        let sample;
+        try {
+            sample = this.sampleFrame(img);
+        } catch (error) {
+            // Image from a host without CORS headers taints the canvas and can't be analyzed
+            return;
+        }
+        if (!sample) return;
+
+        const hash = this.hashFrame(sample.hashGrid);
+        const repeated = Boolean(health.frameHash) &&
+            this.getHashDistance(hash, health.frameHash) <= FRAME_FROZEN_HASH_DISTANCE;
+
+        health.frameRepeats = repeated ? (health.frameRepeats || 0) + 1 : 0;
+        health.frameHash = hash;
+        health.frameIssue = this.classifyFrame(sample.luminance) ||
+            (health.frameRepeats >= FRAME_FROZEN_REPEATS ? 'frozen' : null);
+        health.lastAnalyzedTime = measuredTime;
+        health.frameCheckedAt = Date.now();
+        this.scheduleHealthSave();
+
+        this.updateImageIssueBadges();
+    }
+
+    // Luminance at FRAME_SAMPLE_SIZE square for the statistics and 9x8 for the hash
+    sampleFrame(source) {
+        const luminance = this.readLuminance(source, FRAME_SAMPLE_SIZE, FRAME_SAMPLE_SIZE);
+        return luminance && { luminance, hashGrid: this.readLuminance(source, 9, 8) };
+    }
+
+    readLuminance(source, width, height) {
+        if (!this.analysisCanvas) {
+            this.analysisCanvas = document.createElement('canvas');
+        }
+
+        const canvas = this.analysisCanvas;
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        if (!context) return null;
+
+        context.drawImage(source, 0, 0, width, height);
+        const { data } = context.getImageData(0, 0, width, height);
+
+        const luminance = new Float32Array(width * height);
+        for (let i = 0; i < luminance.length; i++) {
+            luminance[i] = 0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2];
+        }
+        return luminance;
+    }
+
+    classifyFrame(luminance) {
+        const mean = luminance.reduce((sum, value) => sum + value, 0) / luminance.length;
+        const variance = luminance.reduce((sum, value) => sum + (value - mean) ** 2, 0) / luminance.length;
+
+        if (mean < FRAME_BLACK_LUMINANCE) return 'black';
+        if (mean > FRAME_OVEREXPOSED_LUMINANCE) return 'overexposed';
+        if (Math.sqrt(variance) < FRAME_FEATURELESS_DEVIATION) return 'featureless';
+        return null;
+    }
+
+    // 64-bit difference hash as 16 hex digits: is each pixel brighter than its right neighbour
+    hashFrame(grid) {
+        let hash = '';
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col += 4) {
+                let nibble = 0;
+                for (let bit = 0; bit < 4; bit++) {
+                    const i = row * 9 + col + bit;
+                    nibble = (nibble << 1) | (grid[i] > grid[i + 1] ? 1 : 0);
+                }
+                hash += nibble.toString(16);
+            }
+        }
+        return hash;
+    }
+
+    getHashDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            for (; bits; bits >>= 1) distance += bits & 1;
+        }
+        return distance;
+    }
+
+    // Cameras with a bad picture sit out of cycling until they are due for another look
+    isSkippedForImage(camera) {
+        if (this.config.imageIssuePolicy !== 'skip') return false;
+
+        const health = this.cameraHealth.get(camera.presetId);
+        return Boolean(health && health.frameIssue) && Date.now() - health.frameCheckedAt < FRAME_ISSUE_RECHECK;
+    }
+
+    applyImageIssueState(container, camera) {
+        const health = this.cameraHealth.get(camera.presetId);
+        const issue = this.config.imageIssuePolicy !== 'off' && health ? health.frameIssue : null;
+        const badge = container.querySelector('.image-issue-badge');
+
+        badge.textContent = issue ? FRAME_ISSUE_LABELS[issue] : '';
+        badge.classList.toggle('hidden', !issue);
+    }
+
+    updateImageIssueBadges() {
+        this.currentImages.forEach((camera, index) => {
+            const container = document.getElementById(`camera-${index}`);
+            if (camera && container) this.applyImageIssueState(container, camera);
+        });
+    }
+
+    toggleCameraLock(index) {
+        const container = document.getElementById(`camera-${index}`);
+        
+        // Don't allow locking placeholders
+        if (!container || container.classList.contains('camera-placeholder')) {
+            return;
+        }
+
+        const camera = this.currentImages[index];
+        if (!camera) return;
+
+        if (this.lockedCameras.has(camera.presetId)) {
+            this.unpinCamera(camera.presetId);
+            return;
+        }
+
+        // Pin the preset to this tile
+        this.lockedCameras.set(camera.presetId, index);
+        this.setLockState(container, true);
+
+        this.saveSettings();
+        this.updateUrl();
+        this.renderPinnedList();
+    }
+
+    unpinCamera(presetId) {
+        const index = this.lockedCameras.get(presetId);
+        if (index === undefined) return;
+
+        this.lockedCameras.delete(presetId);
+
+        const container = document.getElementById(`camera-${index}`);
+        if (container && !container.classList.contains('camera-placeholder')) {
+            this.setLockState(container, false);
+        }
+
+        this.saveSettings();
+        this.updateUrl();
+        this.renderPinnedList();
+    }
+
+    // List pinned cameras in the settings popover so they can be unpinned
+    renderPinnedList() {
+        const list = document.getElementById('pinnedCameraList');
+        if (!list) return;
+
+        document.getElementById('featuredPreset').value = this.getFeaturedPresetId() || '';
+        list.innerHTML = '';
+
+        if (this.lockedCameras.size === 0) {
+            list.innerHTML = '<p class="text-muted-foreground text-sm">No pinned cameras</p>';
+            return;
+        }
+
+        [...this.lockedCameras]
+            .sort((a, b) => a[1] - b[1])
+            .forEach(([presetId, index]) => {
+                const camera = this.allCameras.find(c => c.presetId === presetId);
+
+                const item = document.createElement('div');
+                item.className = 'pinned-camera-item';
+
+                const label = document.createElement('span');
+                label.className = 'pinned-camera-label';
+                label.textContent = camera
+                    ? `Tile ${index + 1}: ${camera.presentationName || 'Camera'} (${camera.stationName.replace(/_/g, ' ')})`
+                    : `Tile ${index + 1}: ${presetId} (unavailable)`;
+
+                // Pins beyond the current camera count come back when the grid grows
+                if (index >= this.getTileCount()) {
+                    label.textContent += ' – not shown';
+                }
+
+                const unpinButton = document.createElement('button');
+                unpinButton.type = 'button';
+                unpinButton.className = 'btn btn-sm btn-outline';
+                unpinButton.textContent = 'Unpin';
+                unpinButton.addEventListener('click', () => this.unpinCamera(presetId));
+
+                item.append(label, unpinButton);
+                list.appendChild(item);
+            });
+    }
+
+    setLockState(container, locked) {
+        const lockButton = container.querySelector('.lock-button');
+        const unlockIcon = lockButton.querySelector('.unlock-icon');
+        const lockIcon = lockButton.querySelector('.lock-icon');
+
+        container.classList.toggle('locked', locked);
+        lockButton.classList.toggle('locked', locked);
+        unlockIcon.classList.toggle('hidden', locked);
+        lockIcon.classList.toggle('hidden', !locked);
+    }
+
+    startCycling() {
+        if (this.isWallDisplay()) {
+            this.sendWallCommand('start');
+            return;
+        }
+
+        this.config.cycling = true;
+
+        // Replaces any running cycle task, e.g. when the interval changes
+        this.cycleTaskInterval = this.getCycleTaskInterval();
+        this.scheduler.addTask('cycle', this.cycleTaskInterval, () => {
+            return this.cycleCameras(1, this.getCycleStepSlots());
+        }, { backoff: false });
+
+        clearInterval(this.cycleProgressTimer);
+        this.cycleProgressTimer = setInterval(() => this.updateCycleProgress(), CYCLE_PROGRESS_INTERVAL);
+
+        this.updateCyclingButton();
+        this.saveSettings();
+        this.broadcastWallState();
+        console.log(`Started cycling with ${this.config.cyclingInterval}ms interval`);
+    }
+
+    stopCycling() {
+        if (this.isWallDisplay()) {
+            this.sendWallCommand('stop');
+            return;
+        }
+
+        this.config.cycling = false;
+        this.scheduler.removeTask('cycle');
+        clearInterval(this.cycleProgressTimer);
+        this.cycleProgressTimer = null;
+        this.updateCycleProgress();
+        this.updateCyclingButton();
+        this.saveSettings();
+        this.broadcastWallState();
+        console.log('Stopped cycling');
+    }
+
+    /**
+     * Cycle order: the unpinned cameras arranged by the cycling strategy, one
+     * pass at a time. currentCycleIndex is a position in the endless run of
+     * passes and a page shows the next distinct cameras from there. Every
+     * pass holds as many entries as there are cameras; weighted strategies
+     * repeat some cameras within a pass and leave others out.
+     */
+    getCycleOrder() {
+        const candidates = this.getFilteredCameras().filter(c => !this.lockedCameras.has(c.presetId));
+        // Skipping bad pictures must not leave the grid empty
+        const healthy = candidates.filter(c => !this.isSkippedForImage(c));
+        const unpinned = healthy.length > 0 ? healthy : candidates;
+        const strategy = this.config.cycleStrategy;
+
+        // Random strategies draw from the set of presets rather than its freshness order,
+        // so a refresh that only reorders the list doesn't reshuffle the pass in progress
+        const pool = strategy === 'sequential'
+            ? unpinned
+            : [...unpinned].sort((a, b) => a.presetId.localeCompare(b.presetId));
+        const key = [
+            strategy,
+            ...pool.map(c => (strategy === 'priority' ? `${c.presetId}:${this.getCameraPriority(c.presetId)}` : c.presetId))
+        ].join(',');
+
+        if (key !== this.cycleSequenceKey) {
+            this.cycleSequenceKey = key;
+            this.cycleSequences.clear();
+        }
+
+        // Sequences hold preset IDs, so refreshed camera records are picked up
+        const camerasById = new Map(pool.map(c => [c.presetId, c]));
+        const length = pool.length;
+        return {
+            length,
+            cameras: pool,
+            at: (position) => {
+                const pass = Math.floor(position / length);
+                if (!this.cycleSequences.has(pass)) {
+                    // Keep only the passes around the current one
+                    this.cycleSequences.forEach((sequence, cached) => {
+                        if (Math.abs(cached - pass) > 2) this.cycleSequences.delete(cached);
+                    });
+                    this.cycleSequences.set(pass, this.buildCycleSequence(pool, pass).map(c => c.presetId));
+                }
+                return camerasById.get(this.cycleSequences.get(pass)[position - pass * length]);
+            }
+        };
+    }
+
+    buildCycleSequence(cameras, pass) {
+        // Seeded per pass, so a pass comes out the same if it is rebuilt
+        const random = this.createRandom(this.cycleSeed + Math.imul(pass, 0x9E3779B9));
+
+        switch (this.config.cycleStrategy) {
+            case 'shuffle':
+                return this.shuffleCameras(cameras, random);
+            case 'freshness':
+                return this.sampleCameras(cameras, cameras.map(c => this.getFreshnessWeight(c)), random);
+            case 'priority':
+                return this.sampleCameras(cameras, cameras.map(c => this.getCameraPriority(c.presetId)), random);
+            default:
+                return cameras;
+        }
+    }
+
+    // Seeded PRNG (mulberry32) returning floats in [0, 1)
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    shuffleCameras(cameras, random) {
+        const shuffled = [...cameras];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // As many picks as cameras, in proportion to the weights (systematic sampling), shuffled
+    sampleCameras(cameras, weights, random) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        const step = total / cameras.length;
+        let target = random() * step;
+        let cumulative = 0;
+        const picks = [];
+
+        cameras.forEach((camera, i) => {
+            cumulative += weights[i];
+            while (target < cumulative && picks.length < cameras.length) {
+                picks.push(camera);
+                target += step;
+            }
+        });
+
+        // Rounding can leave the last pick out
+        while (picks.length < cameras.length) {
+            picks.push(cameras[cameras.length - 1]);
+        }
+
+        return this.shuffleCameras(picks, random);
+    }
+
+    getFreshnessWeight(camera) {
+        const ageMinutes = (Date.now() - camera.measuredTime) / 60000;
+        return Math.max(2 ** (-ageMinutes / CYCLE_FRESHNESS_HALF_LIFE), CYCLE_MIN_FRESHNESS_WEIGHT);
+    }
+
+    getCameraPriority(presetId) {
+        return this.config.cameraPriorities[presetId] || 1;
+    }
+
+    setCameraPriority(presetId, priority) {
+        if (priority === 1) {
+            delete this.config.cameraPriorities[presetId];
+        } else {
+            this.config.cameraPriorities[presetId] = priority;
+        }
+        this.saveSettings();
+        this.broadcastWallState();
+    }
+
+    /**
+     * The next `count` distinct cameras from a cycle position, and how many
+     * positions that took. Repeats within weighted passes are skipped.
+     */
+    getCycleWindow(start, count, order = this.getCycleOrder()) {
+        const cameras = [];
+        const seen = new Set();
+        if (order.length === 0) return { cameras, consumed: 0 };
+
+        const wanted = Math.min(count, order.length);
+        let position = start;
+
+        while (cameras.length < wanted && position < start + order.length * 3) {
+            const camera = order.at(position);
+            position++;
+            if (seen.has(camera.presetId)) continue;
+            seen.add(camera.presetId);
+            cameras.push(camera);
+        }
+
+        // A heavily weighted pass may not reach enough distinct cameras; top up in list order
+        order.cameras.forEach(camera => {
+            if (cameras.length < wanted && !seen.has(camera.presetId)) {
+                seen.add(camera.presetId);
+                cameras.push(camera);
+            }
+        });
+
+        return { cameras, consumed: position - start };
+    }
+
+    // Unpinned tiles on this screen
+    getFreeTileCount() {
+        const pinnedOnPage = [...this.lockedCameras.values()].filter(index => index < this.getTileCount()).length;
+        return Math.max(this.getTileCount() - pinnedOnPage, 1);
+    }
+
+    // Cycle position `slots` cameras away (a full page by default), or null when there is nothing to cycle
+    getNextCycleIndex(direction = 1, slots = null) {
+        const order = this.getCycleOrder();
+        if (order.length === 0) return null;
+
+        // In wall mode the displays' tiles are part of the same step
+        const step = slots || this.getFreeTileCount() + this.getWallDisplayTiles();
+
+        if (direction > 0) {
+            return this.currentCycleIndex + this.getCycleWindow(this.currentCycleIndex, step, order).consumed;
+        }
+
+        // Walk back until the previous page's worth of distinct cameras
+        const seen = new Set();
+        let position = this.currentCycleIndex;
+        while (seen.size < Math.min(step, order.length) && position > this.currentCycleIndex - order.length * 3) {
+            position--;
+            seen.add(order.at(position).presetId);
+        }
+        return position;
     }
 
-    createCameraContainer(index) {
-        const container = document.createElement('div');
-        container.className = 'camera-container';
-        container.id = `camera-${index}`;
-        container.tabIndex = 0;
+    // Staggered cycling replaces one tile at a time, so the whole page turns over once per interval
+    isStaggered() {
+        return this.config.cycleStagger && this.wall.role === 'off';
+    }
 
-        container.innerHTML = `
-            <div class="camera-loading">
-                <div class="animate-spin w-8 h-8 border-2 border-gray-300 border-t-blue-600 rounded-full"></div>
-                <p class="mt-2">Loading...</p>
-            </div>
-            <img class="camera-image hidden" alt="Camera view">
-            <div class="camera-info">
-                <h3 class="camera-title"></h3>
-                <p class="camera-details"></p>
-                <p class="camera-timestamp"></p>
-                <span class="municipality-tag"></span>
-            </div>
-            <button class="lock-button" data-index="${index}">
-                <span class="unlock-icon">🔓</span>
-                <span class="lock-icon hidden">🔒</span>
-            </button>
-        `;
+    // Tiles a cycle step replaces, null for the whole page
+    getCycleStepSlots() {
+        return this.isStaggered() ? 1 : null;
+    }
 
-        // Add click handler for modal
-        container.addEventListener('click', (e) => {
-            if (!e.target.classList.contains('lock-button')) {
-                this.showCameraModal(index);
-            }
-        });
+    getCycleTaskInterval() {
+        if (!this.isStaggered()) return this.config.cyclingInterval;
+        return Math.max(Math.round(this.config.cyclingInterval / this.getFreeTileCount()), CYCLE_MIN_STAGGER_INTERVAL);
+    }
 
-        // Add lock button handler
-        const lockButton = container.querySelector('.lock-button');
-        lockButton.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.toggleCameraLock(index);
-        });
+    cycleCameras(direction = 1, slots = null) {
+        // Move to the next set of cameras for the unpinned tiles
+        const nextIndex = this.getNextCycleIndex(direction, slots);
+        if (nextIndex === null) return;
 
-        return container;
+        return this.showCyclePosition(nextIndex);
     }
 
-    createCameraPlaceholder(index) {
-        const placeholder = document.createElement('div');
-        placeholder.className = 'camera-container camera-placeholder';
-        placeholder.id = `camera-${index}`;
-        placeholder.innerHTML = `
-            <div class="placeholder-content">
-                <div class="placeholder-icon">📷</div>
-                <div>No camera available</div>
-            </div>
-        `;
-        return placeholder;
+    showCyclePosition(index) {
+        this.currentCycleIndex = index;
+
+        // Swap in the (usually prefetched) images for unlocked cameras
+        const loading = this.showPage(this.getPageCameras());
+        this.broadcastWallState();
+        this.updatePaging();
+
+        // Add cycling animation
+        const grid = document.getElementById('cameraGrid');
+        grid.classList.add('camera-cycling');
+        setTimeout(() => grid.classList.remove('camera-cycling'), 1000);
+
+        return loading;
     }
 
-    async loadCameraImages() {
-        const availableCameras = this.getFilteredCameras();
-        const actualCameraCount = Math.min(this.config.cameraCount, availableCameras.length);
+    /**
+     * Paging: pages split one pass of the cycle order into screenfuls (the
+     * whole wall's tiles in wall mode), so "page X of Y" and jumping to a
+     * page work the same for every cycling strategy.
+     */
+    getCyclePageSize() {
+        return this.getFreeTileCount() + this.getWallDisplayTiles();
+    }
 
-        for (let i = 0; i < actualCameraCount; i++) {
-            if (this.lockedCameras.has(i) && this.currentImages[i]) {
-                // Skip locked cameras that already have images
-                continue;
-            }
+    getCyclePageInfo() {
+        const length = this.getCycleOrder().length;
+        const pageSize = this.getCyclePageSize();
+        const pageCount = Math.max(Math.ceil(length / pageSize), 1);
+        if (length === 0) return { page: 1, pageCount };
+
+        const offset = ((this.currentCycleIndex % length) + length) % length;
+        return { page: Math.min(Math.floor(offset / pageSize) + 1, pageCount), pageCount };
+    }
+
+    goToCyclePage(page) {
+        const length = this.getCycleOrder().length;
+        if (length === 0) return;
 
-            const cameraIndex = (this.currentCycleIndex + i) % availableCameras.length;
-            const camera = availableCameras[cameraIndex];
+        // Stay in the current pass, so shuffled orders don't reshuffle
+        const pass = Math.floor(this.currentCycleIndex / length);
+        this.showCyclePosition(pass * length + (page - 1) * this.getCyclePageSize());
+        this.scheduler.reset('cycle');
+    }
 
-            if (camera) {
-                await this.loadSingleCamera(i, camera);
+    updatePaging() {
+        const { page, pageCount } = this.getCyclePageInfo();
+        const select = document.getElementById('cyclePage');
+
+        if (select.options.length !== pageCount) {
+            select.innerHTML = '';
+            for (let i = 1; i <= pageCount; i++) {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = i;
+                select.appendChild(option);
             }
         }
+        select.value = String(page);
+        document.getElementById('cyclePageCount').textContent = pageCount;
+
+        // Displays show the controller's pages; their buttons still work through it
+        document.getElementById('cyclePageControls').classList.toggle('hidden', this.isWallDisplay());
+        this.updateCycleProgress();
     }
 
-    async loadSingleCamera(containerIndex, camera) {
-        const container = document.getElementById(`camera-${containerIndex}`);
-        if (!container || container.classList.contains('camera-placeholder')) {
+    // Countdown to the next flip, filled from the cycle task's schedule
+    updateCycleProgress() {
+        const progress = document.getElementById('cycleProgress');
+        const nextRun = this.scheduler.getNextRun('cycle');
+
+        progress.classList.toggle('hidden', !this.scheduler.hasTask('cycle'));
+        if (!this.scheduler.hasTask('cycle')) return;
+
+        // Queued or loading the next page
+        const remaining = nextRun === null ? 0 : Math.min(Math.max(nextRun - Date.now(), 0), this.cycleTaskInterval);
+        document.getElementById('cycleProgressBar').style.width = `${(1 - remaining / this.cycleTaskInterval) * 100}%`;
+    }
+
+    /**
+     * Wall mode: browser windows on the same origin share one cycle through a
+     * BroadcastChannel. The controller owns the settings and the cycle, and
+     * tells every display which presets to show, so each camera appears at
+     * most once across the wall. Roles come from the URL (?wall=controller or
+     * ?wall=display&screen=2) because localStorage is shared by all windows.
+     */
+    resolveWallRole() {
+        const params = new URLSearchParams(window.location.search);
+        const role = params.get('wall');
+        const screen = parseInt(params.get('screen')) || 2;
+
+        return {
+            role: ['controller', 'display'].includes(role) ? role : 'off',
+            screen: role === 'controller' ? 1 : screen,
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            channel: null,
+            timer: null,
+            displays: new Map(), // Controller: display id -> { screen, lastSeen }
+            assigned: null, // Display: preset ids for this screen
+            lastState: null
+        };
+    }
+
+    isWallController() {
+        return this.wall.role === 'controller';
+    }
+
+    isWallDisplay() {
+        return this.wall.role === 'display';
+    }
+
+    startWallMode() {
+        if (this.wall.role === 'off') return;
+
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('BroadcastChannel is not supported, wall mode disabled');
+            this.wall.role = 'off';
             return;
         }
 
-        const img = container.querySelector('.camera-image');
-        const loading = container.querySelector('.camera-loading');
-        const info = container.querySelector('.camera-info');
+        this.wall.channel = new BroadcastChannel(WALL_CHANNEL_NAME);
+        this.wall.channel.onmessage = (e) => this.handleWallMessage(e.data);
 
-        try {
-            // Show loading state
-            loading.classList.remove('hidden');
-            img.classList.add('hidden');
+        if (this.isWallController()) {
+            // Ask running displays to check in instead of waiting for their heartbeat
+            this.postWallMessage({ type: 'ping' });
+            this.wall.timer = setInterval(() => this.pruneWallDisplays(), WALL_HEARTBEAT_INTERVAL);
+        } else {
+            this.scheduler.removeTask('cycle');
+            this.sendWallHello();
+            this.wall.timer = setInterval(() => this.sendWallHello(), WALL_HEARTBEAT_INTERVAL);
+        }
 
-            // Load image
-            await this.loadImage(img, camera.imageUrl);
+        window.addEventListener('pagehide', this.wallPageHide = () => {
+            this.postWallMessage({ type: 'bye', id: this.wall.id });
+        });
+
+        this.updateWallStatus();
+    }
 
-            // Update info
-            this.updateCameraInfo(container, camera);
+    stopWallMode() {
+        if (!this.wall.channel) return;
 
-            // Show image
-            loading.classList.add('hidden');
-            img.classList.remove('hidden');
+        this.postWallMessage({ type: 'bye', id: this.wall.id });
+        this.wall.channel.close();
+        this.wall.channel = null;
+        clearInterval(this.wall.timer);
+        window.removeEventListener('pagehide', this.wallPageHide);
+    }
 
-            // Store current image data
-            this.currentImages[containerIndex] = camera;
+    setWallRole(role, screen) {
+        this.stopWallMode();
 
-        } catch (error) {
-            console.error('Error loading camera image:', error);
-            this.showCameraError(container, 'Failed to load image');
+        const params = new URLSearchParams(window.location.search);
+        params.delete('wall');
+        params.delete('screen');
+        if (role !== 'off') params.set('wall', role);
+        if (role === 'display') params.set('screen', screen);
+        history.replaceState(history.state, '', `${window.location.pathname}?${params.toString()}${window.location.hash}`);
+
+        const wasDisplay = this.isWallDisplay();
+        this.wall = this.resolveWallRole();
+        this.startWallMode();
+
+        // A former display picks up its own cycle again
+        if (wasDisplay && this.config.cycling) this.startCycling();
+
+        this.syncWallControls();
+        this.renderCameras();
+    }
+
+    postWallMessage(message) {
+        if (this.wall.channel) this.wall.channel.postMessage(message);
+    }
+
+    sendWallHello() {
+        this.postWallMessage({ type: 'hello', id: this.wall.id, screen: this.wall.screen });
+    }
+
+    handleWallMessage(message) {
+        if (this.isWallController()) {
+            switch (message.type) {
+                case 'hello': {
+                    const known = this.wall.displays.get(message.id);
+                    this.wall.displays.set(message.id, { screen: message.screen, lastSeen: Date.now() });
+                    if (!known || known.screen !== message.screen) this.onWallDisplaysChanged();
+                    break;
+                }
+                case 'bye':
+                    if (this.wall.displays.delete(message.id)) this.onWallDisplaysChanged();
+                    break;
+                case 'command':
+                    this.runWallCommand(message);
+                    break;
+            }
+        } else if (this.isWallDisplay()) {
+            switch (message.type) {
+                case 'ping':
+                    this.sendWallHello();
+                    break;
+                case 'state':
+                    this.applyWallState(message);
+                    break;
+            }
         }
     }
 
-    loadImage(img, url) {
-        return new Promise((resolve, reject) => {
-            const newImg = new Image();
-            newImg.onload = () => {
-                img.src = url;
-                img.alt = 'Camera view';
-                resolve();
-            };
-            newImg.onerror = reject;
-            newImg.src = url;
+    // Displays that stopped sending heartbeats have been closed or crashed
+    pruneWallDisplays() {
+        const cutoff = Date.now() - WALL_HEARTBEAT_INTERVAL * 3;
+        let removed = false;
+
+        this.wall.displays.forEach((display, id) => {
+            if (display.lastSeen < cutoff) {
+                this.wall.displays.delete(id);
+                removed = true;
+            }
         });
+
+        if (removed) this.onWallDisplaysChanged();
     }
 
-    updateCameraInfo(container, camera) {
-        const title = container.querySelector('.camera-title');
-        const details = container.querySelector('.camera-details');
-        const timestamp = container.querySelector('.camera-timestamp');
-        const municipalityTag = container.querySelector('.municipality-tag');
+    onWallDisplaysChanged() {
+        this.updateWallStatus();
+        this.broadcastWallState();
+    }
 
-        title.textContent = camera.presentationName || 'Camera';
-        details.textContent = camera.stationName.replace(/_/g, ' ');
-        timestamp.textContent = camera.age;
-        municipalityTag.textContent = camera.municipality;
+    // Displays in wall order: by screen number, then by when they joined
+    getWallDisplays() {
+        return [...this.wall.displays]
+            .map(([id, display]) => ({ id, ...display }))
+            .sort((a, b) => a.screen - b.screen || a.id.localeCompare(b.id));
     }
 
-    showCameraError(container, message) {
-        container.innerHTML = `
-            <div class="camera-error">
-                <svg class="bc-w-8 bc-h-8 bc-mb-2" fill="currentColor" viewBox="0 0 20 20">
-                    <path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clip-rule="evenodd"></path>
-                </svg>
-                <p>${message}</p>
-            </div>
-        `;
+    // Extra cameras the wall's displays show per cycle step
+    getWallDisplayTiles() {
+        return this.isWallController() ? this.wall.displays.size * this.getTileCount() : 0;
     }
 
-    showNoCamerasMessage() {
-        const grid = document.getElementById('cameraGrid');
-        grid.innerHTML = `
-            <div class="col-span-full flex flex-col items-center justify-center py-20">
-                <svg class="w-16 h-16 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"></path>
-                </svg>
-                <h3 class="text-xl text-gray-400 mb-2">No cameras available</h3>
-                <p class="text-gray-500 text-center">
-                    No cameras match your current filters.<br>
-                    Try adjusting your settings or check back later.
-                </p>
-            </div>
-        `;
+    /**
+     * Split the controller's cycle across the wall: the controller shows the
+     * first unpinned cameras, each display the next getTileCount() ones. The
+     * slices stop before wrapping around, so nothing is shown twice.
+     */
+    getWallPages() {
+        const ownTiles = this.getFreeTileCount();
+        const cameras = this.getCycleWindow(this.currentCycleIndex, ownTiles + this.getWallDisplayTiles()).cameras;
+        let offset = Math.min(ownTiles, cameras.length);
+        const pages = {};
+
+        this.getWallDisplays().forEach(display => {
+            pages[display.id] = cameras.slice(offset, offset + this.getTileCount()).map(c => c.presetId);
+            offset += this.getTileCount();
+        });
+
+        return pages;
     }
 
-    showCameraModal(containerIndex) {
-        const container = document.getElementById(`camera-${containerIndex}`);
-        
-        // Don't show modal for placeholders
-        if (!container || container.classList.contains('camera-placeholder')) {
+    broadcastWallState() {
+        if (!this.isWallController() || !this.wall.channel) return;
+
+        const settings = {};
+        WALL_SHARED_KEYS.forEach(key => {
+            settings[key] = this.config[key];
+        });
+
+        this.postWallMessage({
+            type: 'state',
+            settings,
+            groups: this.cameraGroups,
+            cycling: this.config.cycling,
+            pages: this.getWallPages()
+        });
+    }
+
+    applyWallState(message) {
+        const page = message.pages[this.wall.id];
+        if (!page) {
+            // The controller doesn't know this display yet
+            this.sendWallHello();
             return;
         }
-        
-        const camera = this.currentImages[containerIndex];
-        if (!camera) return;
 
-        const modal = document.getElementById('cameraModal');
-        const title = document.getElementById('modalTitle');
-        const image = document.getElementById('modalImage');
-        const info = document.getElementById('modalInfo');
+        const settingsKey = JSON.stringify([message.settings, message.groups]);
+        const settingsChanged = settingsKey !== this.wall.lastState;
+        const pageChanged = JSON.stringify(page) !== JSON.stringify(this.wall.assigned);
 
-        title.textContent = `${camera.presentationName} - ${camera.stationName.replace(/_/g, ' ')}`;
-        image.src = camera.imageUrl;
-        image.alt = camera.presentationName;
+        this.wall.lastState = settingsKey;
+        this.wall.assigned = page;
+        this.config.cycling = message.cycling;
+        this.updateCyclingButton();
 
-        info.innerHTML = `
-            <div class="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-                <div>
-                    <strong>Municipality:</strong> ${camera.municipality}<br>
-                    <strong>Station:</strong> ${camera.stationName.replace(/_/g, ' ')}<br>
-                    <strong>Camera ID:</strong> ${camera.cameraId}
-                </div>
-                <div>
-                    <strong>Last Updated:</strong> ${camera.age}<br>
-                    <strong>Coordinates:</strong> ${camera.lat.toFixed(4)}, ${camera.lon.toFixed(4)}<br>
-                    <strong>Preset ID:</strong> ${camera.presetId}
-                </div>
-            </div>
-        `;
+        if (settingsChanged) {
+            Object.assign(this.config, message.settings);
+            this.cameraGroups = message.groups;
+            this.cameras = this.filterCameras(this.allCameras);
+            this.assignWeather(); // The weather distance may have changed
+            this.syncControls();
+            this.renderCameras();
+        } else if (pageChanged) {
+            this.showPage(this.getPageCameras());
+        }
+
+        this.updateWallStatus();
+    }
+
+    // Cycle controls pressed on a display are carried out by the controller
+    sendWallCommand(command, direction = 1) {
+        this.postWallMessage({ type: 'command', command, direction });
+    }
+
+    runWallCommand({ command, direction }) {
+        switch (command) {
+            case 'start':
+                this.startCycling();
+                break;
+            case 'stop':
+                this.stopCycling();
+                break;
+            case 'step':
+                this.stepCycle(direction);
+                break;
+        }
+    }
+
+    syncWallControls() {
+        document.getElementById('wallRole').value = this.wall.role;
+        document.getElementById('wallScreen').value = String(Math.max(this.wall.screen, 2));
+        document.getElementById('wallScreenControls').classList.toggle('hidden', !this.isWallDisplay());
+        this.updateWallStatus();
+    }
+
+    updateWallStatus() {
+        const status = document.getElementById('wallStatus');
+        if (!status) return;
+
+        if (this.isWallController()) {
+            const count = this.wall.displays.size;
+            status.textContent = `Controlling ${count} display${count === 1 ? '' : 's'}`;
+        } else if (this.isWallDisplay()) {
+            status.textContent = this.wall.assigned
+                ? `Screen ${this.wall.screen}, following the controller`
+                : `Screen ${this.wall.screen}, waiting for a controller…`;
+        } else {
+            status.textContent = '';
+        }
+    }
+
+    updateCyclingButton() {
+        const button = document.getElementById('cyclingToggle');
+        const status = document.getElementById('cyclingStatus');
+        const pause = document.getElementById('cyclePause');
+
+        pause.textContent = this.config.cycling ? '❚❚' : '▶';
+        pause.title = this.config.cycling ? 'Pause cycling' : 'Resume cycling';
+
+        if (this.config.cycling) {
+            button.classList.remove('btn-success');
+            button.classList.add('btn-danger');
+            status.textContent = 'Stop';
+        } else {
+            button.classList.remove('btn-danger');
+            button.classList.add('btn-success');
+            status.textContent = 'Start';
+        }
+    }
+
+    /**
+     * Keyboard and remote-control navigation. Presenters and TV remotes send
+     * arrow keys, Enter and a handful of letters, so every grid action has a
+     * single-key binding that can be remapped from the shortcut overlay.
+     */
+    handleKeydown(e) {
+        if (this.capturingBinding) {
+            e.preventDefault();
+            this.captureBinding(e);
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            this.closeModal();
+            this.closeHealthPanel();
+            this.closeShortcutHelp();
+            return;
+        }
+
+        // Leave typing, form controls and browser shortcuts alone
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable]')) return;
+
+        // In the camera modal the left/right bindings step through cameras
+        if (document.getElementById('cameraModal').style.display === 'flex') {
+            const key = this.normalizeKey(e.key);
+            const bindings = this.config.keyBindings;
+            if (key === bindings.focusLeft || key === bindings.focusRight) {
+                e.preventDefault();
+                this.stepModalCamera(key === bindings.focusLeft ? -1 : 1);
+            }
+            return;
+        }
+
+        // Grid shortcuts only apply while no dialog covers the grid
+        if ([...document.querySelectorAll('.modal')].some(modal => modal.style.display === 'flex')) return;
+
+        const key = this.normalizeKey(e.key);
+
+        // Enter and Space still press focused buttons and links
+        if ((key === 'Enter' || key === ' ') && e.target.closest && e.target.closest('button, a')) return;
+
+        const action = Object.keys(this.config.keyBindings).find(name => this.config.keyBindings[name] === key);
+
+        if (action) {
+            e.preventDefault();
+            this.runKeyAction(action);
+            return;
+        }
+
+        // Number keys pick the nth camera count option
+        if (/^[1-9]$/.test(key)) {
+            const option = this.getSelectableOptions('cameraCount')[parseInt(key) - 1];
+            if (option) {
+                e.preventDefault();
+                this.setCameraCount(parseInt(option.value));
+            }
+        }
+    }
+
+    normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    formatKey(key) {
+        const names = { ' ': 'Space', ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+        return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+    }
+
+    runKeyAction(action) {
+        const focusedIndex = this.getFocusedTileIndex();
 
-        modal.classList.remove('hidden');
-        modal.style.display = 'flex';
+        switch (action) {
+            case 'focusLeft':
+            case 'focusRight':
+            case 'focusUp':
+            case 'focusDown':
+                this.moveTileFocus(action.slice(5).toLowerCase());
+                break;
+            case 'openCamera':
+                if (focusedIndex !== null) this.showCameraModal(focusedIndex);
+                break;
+            case 'toggleLock':
+                if (focusedIndex !== null) this.toggleCameraLock(focusedIndex);
+                break;
+            case 'toggleCycling':
+                if (this.config.cycling) {
+                    this.stopCycling();
+                } else {
+                    this.startCycling();
+                }
+                break;
+            case 'nextCycle':
+                this.stepCycle(1);
+                break;
+            case 'previousCycle':
+                this.stepCycle(-1);
+                break;
+            case 'showHelp':
+                this.showShortcutHelp();
+                break;
+        }
     }
 
-    toggleCameraLock(index) {
-        const container = document.getElementById(`camera-${index}`);
-        
-        // Don't allow locking placeholders
-        if (!container || container.classList.contains('camera-placeholder')) {
+    getFocusedTileIndex() {
+        const tile = document.activeElement && document.activeElement.closest
+            ? document.activeElement.closest('#cameraGrid .camera-container')
+            : null;
+        return tile ? parseInt(tile.id.replace('camera-', '')) : null;
+    }
+
+    // Move focus to the nearest tile in a direction, using the rendered layout
+    moveTileFocus(direction) {
+        const tiles = [...document.querySelectorAll('#cameraGrid .camera-container:not(.camera-placeholder)')];
+        if (tiles.length === 0) return;
+
+        const current = document.activeElement;
+        const currentPosition = tiles.indexOf(current);
+        if (currentPosition === -1) {
+            this.focusTile(tiles[0]);
             return;
         }
-        
-        const lockButton = container.querySelector('.lock-button');
-        const unlockIcon = lockButton.querySelector('.unlock-icon');
-        const lockIcon = lockButton.querySelector('.lock-icon');
 
-        if (this.lockedCameras.has(index)) {
-            // Unlock
-            this.lockedCameras.delete(index);
-            container.classList.remove('locked');
-            unlockIcon.classList.remove('hidden');
-            lockIcon.classList.add('hidden');
-            lockButton.classList.remove('locked');
-        } else {
-            // Lock
-            this.lockedCameras.add(index);
-            container.classList.add('locked');
-            unlockIcon.classList.add('hidden');
-            lockIcon.classList.remove('hidden');
-            lockButton.classList.add('locked');
+        const from = current.getBoundingClientRect();
+        const fromX = from.left + from.width / 2;
+        const fromY = from.top + from.height / 2;
+        const horizontal = direction === 'left' || direction === 'right';
+        const sign = direction === 'left' || direction === 'up' ? -1 : 1;
+
+        let best = null;
+        let bestScore = Infinity;
+
+        tiles.forEach(tile => {
+            if (tile === current) return;
+
+            const rect = tile.getBoundingClientRect();
+            const dx = rect.left + rect.width / 2 - fromX;
+            const dy = rect.top + rect.height / 2 - fromY;
+            const along = (horizontal ? dx : dy) * sign;
+            const across = Math.abs(horizontal ? dy : dx);
+            if (along <= 0) return;
+
+            // Prefer tiles in line with the current one over closer diagonal ones
+            const score = along + across * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = tile;
+            }
+        });
+
+        // Without layout information (e.g. hidden grid) fall back to list order
+        if (!best && from.width === 0) {
+            best = tiles[currentPosition + sign];
         }
+
+        if (best) this.focusTile(best);
     }
 
-    startCycling() {
-        this.stopCycling();
-        this.config.cycling = true;
+    focusTile(tile) {
+        tile.focus();
+        this.focusedTileIndex = parseInt(tile.id.replace('camera-', ''));
+    }
 
-        this.cyclingInterval = setInterval(() => {
-            this.cycleCameras();
-        }, this.config.cyclingInterval);
+    // Keep keyboard focus on the same slot when the grid is rebuilt
+    restoreTileFocus() {
+        if (this.focusedTileIndex === null) return;
+        if (document.activeElement && document.activeElement !== document.body) return;
 
-        this.updateCyclingButton();
-        console.log(`Started cycling with ${this.config.cyclingInterval}ms interval`);
+        const tile = document.getElementById(`camera-${this.focusedTileIndex}`);
+        if (tile && !tile.classList.contains('camera-placeholder')) {
+            tile.focus();
+        }
     }
 
-    stopCycling() {
-        this.config.cycling = false;
-        if (this.cyclingInterval) {
-            clearInterval(this.cyclingInterval);
-            this.cyclingInterval = null;
+    // Choosing a camera count switches back to a uniform grid
+    setCameraCount(count) {
+        this.config.cameraCount = count;
+        this.config.gridLayout = 'auto';
+        document.getElementById('cameraCount').value = String(count);
+        this.syncLayoutControls();
+        this.updateCycleTimeOptions();
+        this.saveSettings();
+        this.updateUrl();
+        this.renderCameras();
+        this.renderPinnedList();
+    }
+
+    // Manual step through the cycle; an automatic cycle waits a full interval afterwards
+    stepCycle(direction) {
+        if (this.isWallDisplay()) {
+            this.sendWallCommand('step', direction);
+            return;
         }
-        this.updateCyclingButton();
-        console.log('Stopped cycling');
+
+        this.cycleCameras(direction);
+        this.scheduler.reset('cycle');
     }
 
-    cycleCameras() {
-        const availableCameras = this.getFilteredCameras();
-        if (availableCameras.length === 0) return;
+    showShortcutHelp() {
+        const panel = document.getElementById('shortcutHelp');
+        panel.classList.remove('hidden');
+        panel.style.display = 'flex';
+        this.renderShortcutHelp();
+    }
 
-        // Move to next set of cameras
-        this.currentCycleIndex = (this.currentCycleIndex + this.config.cameraCount) % availableCameras.length;
+    closeShortcutHelp() {
+        const panel = document.getElementById('shortcutHelp');
+        panel.classList.add('hidden');
+        panel.style.display = 'none';
+        this.capturingBinding = null;
+    }
 
-        // Load new images for unlocked cameras
-        this.loadCameraImages();
+    renderShortcutHelp() {
+        const list = document.getElementById('shortcutList');
+        list.innerHTML = '';
 
-        // Add cycling animation
-        const grid = document.getElementById('cameraGrid');
-        grid.classList.add('camera-cycling');
-        setTimeout(() => grid.classList.remove('camera-cycling'), 1000);
+        KEY_BINDING_ACTIONS.forEach(({ action, label }) => {
+            const row = document.createElement('li');
+            row.className = 'shortcut-item';
+
+            const name = document.createElement('span');
+            name.textContent = label;
+
+            const key = document.createElement('kbd');
+            key.textContent = this.capturingBinding === action ? 'Press a key…' : this.formatKey(this.config.keyBindings[action]);
+
+            const changeButton = document.createElement('button');
+            changeButton.type = 'button';
+            changeButton.className = 'btn btn-sm btn-outline';
+            changeButton.textContent = 'Change';
+            changeButton.addEventListener('click', () => {
+                this.capturingBinding = action;
+                this.renderShortcutHelp();
+            });
+
+            row.append(name, key, changeButton);
+            list.appendChild(row);
+        });
+
+        const options = this.getSelectableOptions('cameraCount');
+        const countRow = document.createElement('li');
+        countRow.className = 'shortcut-item';
+        countRow.innerHTML = `<span>Cameras to show (${options.map(option => option.value).join(', ')})</span><kbd>1–${options.length}</kbd>`;
+        list.appendChild(countRow);
     }
 
-    updateCyclingButton() {
-        const button = document.getElementById('cyclingToggle');
-        const status = document.getElementById('cyclingStatus');
+    // Bind the next key press to the action being changed; Escape cancels
+    captureBinding(e) {
+        const action = this.capturingBinding;
+        this.capturingBinding = null;
 
-        if (this.config.cycling) {
-            button.classList.remove('btn-success');
-            button.classList.add('btn-danger');
-            status.textContent = 'Stop';
-        } else {
-            button.classList.remove('btn-danger');
-            button.classList.add('btn-success');
-            status.textContent = 'Start';
+        if (e.key !== 'Escape' && !/^[1-9]$/.test(e.key)) {
+            const key = this.normalizeKey(e.key);
+
+            // A key can only do one thing: the action it was bound to swaps to the old key
+            const previous = Object.keys(this.config.keyBindings).find(name => this.config.keyBindings[name] === key);
+            if (previous) {
+                this.config.keyBindings[previous] = this.config.keyBindings[action];
+            }
+
+            this.config.keyBindings[action] = key;
+            this.saveSettings();
         }
+
+        this.renderShortcutHelp();
+    }
+
+    resetKeyBindings() {
+        this.config.keyBindings = this.getDefaultKeyBindings();
+        this.capturingBinding = null;
+        this.saveSettings();
+        this.renderShortcutHelp();
+    }
+
+    getDefaultKeyBindings() {
+        return Object.fromEntries(KEY_BINDING_ACTIONS.map(({ action, key }) => [action, key]));
     }
 
     async updateCameraImages() {
         this.showLoadingIndicator(true);
 
         try {
-            // Reload current images with fresh data
-            for (let i = 0; i < this.config.cameraCount; i++) {
-                const container = document.getElementById(`camera-${i}`);
-                
-                // Skip if container doesn't exist or is a placeholder
-                if (!container || container.classList.contains('camera-placeholder')) {
-                    continue;
-                }
-                
-                const currentCamera = this.currentImages[i];
-                if (currentCamera && !this.lockedCameras.has(i)) {
-                    // Find the same camera in current data and reload
-                    const updatedCamera = this.cameras.find(c =>
-                        c.presetId === currentCamera.presetId
-                    );
-                    if (updatedCamera) {
-                        await this.loadSingleCamera(i, updatedCamera);
-                    }
-                }
+            // Lightweight re-query of capture times, then reload only changed tiles
+            const captures = await this.fetchMeasuredTimes();
+            const newImages = this.applyMeasuredTimes(captures);
+            const refreshed = await this.refreshCurrentImages();
+            await this.refreshModalImage();
+
+            console.log(`${newImages} presets have new images, ${refreshed} visible tiles refreshed`);
+            this.updateStatus(refreshed > 0 ? `${refreshed} new images` : 'No new images', 'success');
+
+            // The data source answers again: replace the snapshot with live data
+            if (this.offlineSnapshotTime) {
+                this.scheduler.runNow('cameras');
             }
-
-            this.updateStatus('Images updated', 'success');
         } catch (error) {
             console.error('Error updating images:', error);
             this.updateStatus('Update failed', 'error');
+            throw error; // Let the scheduler back off
         } finally {
             this.showLoadingIndicator(false);
         }
     }
 
+    async fetchMeasuredTimes() {
+        const { type, endpoint } = this.config.dataSource;
+        const source = CAMERA_DATA_SOURCES[type];
+
+        if (source.loadTimes) {
+            return this.scheduler.limit(() => source.loadTimes(endpoint));
+        }
+
+        // Adapters without a lightweight query fall back to a full load
+        const records = await this.scheduler.limit(() => source.load(endpoint));
+        return new Map(records.map(({ presetId, measuredTime, imageUrl }) => [presetId, { measuredTime, imageUrl }]));
+    }
+
+    /**
+     * Update capture times in place. Changed presets get a new record object,
+     * with the new image URL when the source reports one, so tiles can compare
+     * what they show against the latest data.
+     * Returns the number of presets with a newer image.
+     */
+    applyMeasuredTimes(captures) {
+        let changed = 0;
+
+        this.allCameras = this.allCameras.map(camera => {
+            const capture = captures.get(camera.presetId);
+            const measuredTime = capture && capture.measuredTime ? new Date(capture.measuredTime) : camera.measuredTime;
+
+            if (measuredTime.getTime() <= camera.measuredTime.getTime()) {
+                camera.age = this.getImageAge(camera.measuredTime);
+                return camera;
+            }
+
+            changed++;
+            return {
+                ...camera,
+                imageUrl: capture.imageUrl || camera.imageUrl,
+                measuredTime,
+                age: this.getImageAge(measuredTime)
+            };
+        });
+
+        this.cameras = this.filterCameras(this.allCameras);
+        this.observeCameraHealth(this.allCameras);
+        return changed;
+    }
+
     startPeriodicUpdates() {
-        // Update images every minute
-        setInterval(() => {
-            this.updateCameraImages();
-        }, 60000);
+        // Check for new images every minute
+        this.scheduler.addTask('images', 60000, () => this.updateCameraImages());
 
         // Full camera reload every 30 minutes
-        setInterval(() => {
-            this.loadCameras();
-        }, 30 * 60000);
+        this.scheduler.addTask('cameras', 30 * 60000, () => this.loadCameras());
+
+        // Nothing to refresh while nobody is looking or there is no network
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.scheduler.pause('hidden');
+            } else {
+                this.scheduler.resume('hidden');
+            }
+        });
+
+        window.addEventListener('offline', () => {
+            this.scheduler.pause('offline');
+            this.updateStatus('Offline – updates paused', 'error');
+        });
+
+        window.addEventListener('online', () => {
+            this.updateStatus('Back online', 'success');
+            this.scheduler.resume('offline');
+            this.scheduler.runNow(this.offlineSnapshotTime ? 'cameras' : 'images');
+        });
+
+        if (document.hidden) this.scheduler.pause('hidden');
+        if (navigator.onLine === false) this.scheduler.pause('offline');
     }
 
     setupEventListeners() {
+        // Write out health changes still waiting for their batch
+        window.addEventListener('pagehide', () => {
+            if (this.healthSaveTimer) this.saveHealth();
+        });
+
         // Camera count - Regular select
         document.getElementById('cameraCount').addEventListener('change', (e) => {
-            this.config.cameraCount = parseInt(e.target.value);
-            this.updateCycleTimeOptions(); // Update available cycle times
-            this.renderCameras();
+            this.setCameraCount(parseInt(e.target.value));
         });
 
         // Cycling controls
@@ -662,11 +5524,28 @@ class OuluWebCams {
             }
         });
 
+        // Paging controls in the status overlay
+        document.getElementById('cyclePrev').addEventListener('click', () => this.stepCycle(-1));
+        document.getElementById('cycleNext').addEventListener('click', () => this.stepCycle(1));
+        document.getElementById('cyclePause').addEventListener('click', () => {
+            if (this.config.cycling) {
+                this.stopCycling();
+            } else {
+                this.startCycling();
+            }
+        });
+        document.getElementById('cyclePage').addEventListener('change', (e) => {
+            this.goToCyclePage(parseInt(e.target.value));
+        });
+
         // Cycling interval - Regular select  
         document.getElementById('cyclingInterval').addEventListener('change', (e) => {
             this.config.cyclingInterval = parseInt(e.target.value);
             if (this.config.cycling) {
                 this.startCycling(); // Restart with new interval
+            } else {
+                this.saveSettings();
+                this.broadcastWallState();
             }
         });
 
@@ -674,31 +5553,314 @@ class OuluWebCams {
         document.getElementById('cyclingMode').addEventListener('change', (e) => {
             this.config.cyclingMode = e.target.value;
             this.updateModeSelectors();
+            this.saveSettings();
+            this.updateUrl();
+            this.renderCameras();
+        });
+
+        document.getElementById('cycleStrategy').addEventListener('change', (e) => {
+            this.config.cycleStrategy = e.target.value;
+            this.currentCycleIndex = 0;
+            this.saveSettings();
+            this.renderCameras();
+        });
+
+        document.getElementById('cycleStagger').addEventListener('change', (e) => {
+            this.config.cycleStagger = e.target.checked;
+            this.saveSettings();
+            if (this.config.cycling) this.startCycling();
+        });
+
+        document.getElementById('modalPriority').addEventListener('change', (e) => {
+            if (this.modalCamera) this.setCameraPriority(this.modalCamera.presetId, parseFloat(e.target.value));
+        });
+
+        document.getElementById('cycleTransition').addEventListener('change', (e) => {
+            this.config.cycleTransition = e.target.value;
+            this.saveSettings();
+            this.broadcastWallState();
+        });
+
+        // Wall mode
+        ['wallRole', 'wallScreen'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.setWallRole(
+                    document.getElementById('wallRole').value,
+                    parseInt(document.getElementById('wallScreen').value)
+                );
+            });
+        });
+
+        // Grid layout
+        document.getElementById('gridLayout').addEventListener('change', (e) => {
+            this.setGridLayout(e.target.value);
+        });
+
+        document.getElementById('featuredPreset').addEventListener('change', (e) => {
+            this.setFeaturedPreset(e.target.value);
+        });
+
+        document.getElementById('layoutPreset').addEventListener('change', (e) => {
+            if (e.target.value !== '') this.applyLayoutPreset(parseInt(e.target.value));
+        });
+
+        document.getElementById('saveLayoutPreset').addEventListener('click', () => {
+            const nameInput = document.getElementById('layoutPresetName');
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.focus();
+                return;
+            }
+            this.saveLayoutPreset(name);
+            nameInput.value = '';
+        });
+
+        document.getElementById('deleteLayoutPreset').addEventListener('click', () => {
+            const value = document.getElementById('layoutPreset').value;
+            if (value !== '') this.deleteLayoutPreset(parseInt(value));
+        });
+
+        this.setupTileDragging();
+
+        // Search and facets
+        let searchTimer = null;
+        document.getElementById('filterQuery').addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                this.config.filterQuery = e.target.value.trim();
+                this.onFilterChanged({ replaceUrl: true });
+            }, 250);
+        });
+
+        document.getElementById('filterMunicipalities').addEventListener('change', () => {
+            this.config.filterMunicipalities = this.getCheckedValues('filterMunicipalities');
+            this.onFilterChanged();
+        });
+
+        document.getElementById('filterAge').addEventListener('change', (e) => {
+            this.config.filterAge = e.target.value;
+            this.onFilterChanged();
+        });
+
+        document.getElementById('filterMultiPreset').addEventListener('change', (e) => {
+            this.config.filterMultiPreset = e.target.checked;
+            this.onFilterChanged();
+        });
+
+        document.getElementById('clearFilters').addEventListener('click', () => {
+            this.clearFilters();
+        });
+
+        // Municipality and station selectors - checkbox lists
+        document.getElementById('selectedMunicipalities').addEventListener('change', () => {
+            this.config.selectedMunicipalities = this.getCheckedValues('selectedMunicipalities');
+            this.onSelectionChanged();
+        });
+
+        document.getElementById('selectedRegion').addEventListener('change', (e) => {
+            if (e.target.value !== '') this.selectRegion(parseInt(e.target.value));
+        });
+
+        document.getElementById('selectedStations').addEventListener('change', () => {
+            this.config.selectedStations = this.getCheckedValues('selectedStations');
+            this.onSelectionChanged();
+        });
+
+        ['clearMunicipalities', 'clearStations'].forEach(id => {
+            document.getElementById(id).addEventListener('click', () => {
+                const key = id === 'clearMunicipalities' ? 'selectedMunicipalities' : 'selectedStations';
+                this.config[key] = [];
+                this.syncCheckboxOptions(key, []);
+                this.onSelectionChanged();
+            });
+        });
+
+        // Grid/map view toggle
+        document.getElementById('viewToggle').addEventListener('click', () => {
+            this.setViewMode(this.config.viewMode === 'map' ? 'grid' : 'map');
+            this.saveSettings();
+            this.updateUrl();
+        });
+
+        this.setupMapInteractions();
+
+        // Proximity mode
+        document.getElementById('proximityTarget').addEventListener('change', (e) => {
+            this.config.proximityTarget = e.target.value;
+            this.currentCycleIndex = 0;
+            this.syncProximityControls();
+            this.saveSettings();
+            this.updateUrl();
             this.renderCameras();
         });
 
-        // Municipality selector - Regular select
-        document.getElementById('selectedMunicipality').addEventListener('change', (e) => {
-            this.config.selectedMunicipality = e.target.value;
+        document.getElementById('proximityRadius').addEventListener('change', (e) => {
+            this.config.proximityRadius = parseFloat(e.target.value);
+            this.saveSettings();
+            this.updateUrl();
             this.renderCameras();
         });
 
-        // Station selector - Regular select
-        document.getElementById('selectedStation').addEventListener('change', (e) => {
-            this.config.selectedStation = e.target.value;
+        document.getElementById('proximityApplyPoint').addEventListener('click', () => {
+            this.setProximityPoint(
+                parseFloat(document.getElementById('proximityLat').value),
+                parseFloat(document.getElementById('proximityLon').value)
+            );
+        });
+
+        document.getElementById('proximityLocate').addEventListener('click', () => {
+            this.useCurrentLocation();
+        });
+
+        document.getElementById('proximityPickOnMap').addEventListener('click', () => {
+            this.pickingProximityPoint = true;
+            this.setViewMode('map');
+            document.getElementById('cameraMap').classList.add('picking');
+            this.updateUrl();
+            this.updateStatus('Click the map to choose a point', 'info');
+        });
+
+        document.getElementById('proximityApplyRoute').addEventListener('click', () => {
+            this.setProximityRoute(document.getElementById('proximityRoute').value);
+        });
+
+        // Image history
+        document.getElementById('historyLimit').addEventListener('change', (e) => {
+            this.config.historyLimit = parseInt(e.target.value);
+            this.saveSettings();
+        });
+
+        document.getElementById('modalPrev').addEventListener('click', () => {
+            this.stepModalCamera(-1);
+        });
+
+        document.getElementById('modalNext').addEventListener('click', () => {
+            this.stepModalCamera(1);
+        });
+
+        this.setupModalZoom();
+
+        document.getElementById('timelapsePlay').addEventListener('click', () => {
+            this.toggleTimelapse();
+        });
+
+        document.getElementById('timelapseScrubber').addEventListener('input', (e) => {
+            this.stopTimelapse();
+            this.showTimelapseFrame(parseInt(e.target.value));
+        });
+
+        document.getElementById('timelapseFrames').addEventListener('change', () => {
+            if (this.modalCamera) this.loadTimelapse(this.modalCamera);
+        });
+
+        // Camera groups
+        document.getElementById('selectedGroup').addEventListener('change', (e) => {
+            this.config.selectedGroup = e.target.value;
+            this.populateGroupSelector();
+            this.saveSettings();
+            this.updateUrl();
             this.renderCameras();
         });
 
-        // Filters
-        document.getElementById('dropOldCameras').addEventListener('change', (e) => {
-            this.config.dropOldCameras = e.target.checked;
-            // Re-filter from original unfiltered cameras
-            this.cameras = this.filterCameras(this.allCameras);
+        document.getElementById('newGroup').addEventListener('click', () => {
+            this.openGroupEditor();
+        });
+
+        document.getElementById('editGroup').addEventListener('click', () => {
+            const group = this.getSelectedGroup();
+            if (group) this.openGroupEditor(group);
+        });
+
+        document.getElementById('deleteGroup').addEventListener('click', () => {
+            this.deleteSelectedGroup();
+        });
+
+        document.getElementById('groupAddPreset').addEventListener('change', (e) => {
+            if (e.target.value && this.editingGroup && !this.editingGroup.presetIds.includes(e.target.value)) {
+                this.editingGroup.presetIds.push(e.target.value);
+                this.renderGroupEditor();
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('saveGroup').addEventListener('click', () => {
+            this.saveGroupEditor();
+        });
+
+        document.getElementById('cancelGroup').addEventListener('click', () => {
+            this.closeGroupEditor();
+        });
+
+        document.getElementById('exportGroups').addEventListener('click', () => {
+            this.exportGroups();
+        });
+
+        document.getElementById('importGroups').addEventListener('click', () => {
+            document.getElementById('importGroupsFile').click();
+        });
+
+        document.getElementById('importGroupsFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importGroups(file);
+            e.target.value = '';
+        });
+
+        // Staleness policy
+        ['stalePolicy', 'staleHours'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.config[id] = id === 'staleHours' ? parseInt(e.target.value) : e.target.value;
+                this.saveSettings();
+                // Re-filter from original unfiltered cameras
+                this.cameras = this.filterCameras(this.allCameras);
+                this.renderCameras();
+            });
+        });
+
+        document.getElementById('imageIssuePolicy').addEventListener('change', (e) => {
+            this.config.imageIssuePolicy = e.target.value;
+            this.saveSettings();
             this.renderCameras();
         });
 
+        // Road weather overlay
+        document.getElementById('weatherOverlay').addEventListener('change', (e) => {
+            this.setWeatherOverlay(e.target.checked);
+            this.saveSettings();
+            this.broadcastWallState();
+        });
+
+        document.getElementById('weatherMaxDistance').addEventListener('change', (e) => {
+            this.config.weatherMaxDistance = parseInt(e.target.value);
+            this.saveSettings();
+            this.broadcastWallState();
+            this.assignWeather();
+            this.updateWeatherBadges();
+        });
+
+        // Camera health panel
+        document.getElementById('openHealthPanel').addEventListener('click', () => {
+            this.showHealthPanel();
+        });
+
+        document.getElementById('closeHealthPanel').addEventListener('click', () => {
+            this.closeHealthPanel();
+        });
+
+        document.getElementById('healthPanel').addEventListener('click', (e) => {
+            if (e.target.id === 'healthPanel') this.closeHealthPanel();
+        });
+
+        document.getElementById('exportHealthCsv').addEventListener('click', () => {
+            this.exportHealthCsv();
+        });
+
+        document.querySelectorAll('#healthTable th[data-column]').forEach(th => {
+            th.addEventListener('click', () => this.sortHealthBy(th.dataset.column));
+        });
+
         document.getElementById('autoHideControls').addEventListener('change', (e) => {
             this.config.autoHideControls = e.target.checked;
+            this.saveSettings();
             if (e.target.checked) {
                 this.setupAutoHide();
             } else {
@@ -717,13 +5879,28 @@ class OuluWebCams {
             }
         });
 
-        // Keyboard controls
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeModal();
-            }
+        // Keyboard and remote controls
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        document.getElementById('openShortcutHelp').addEventListener('click', () => {
+            this.showShortcutHelp();
+        });
+
+        document.getElementById('closeShortcutHelp').addEventListener('click', () => {
+            this.closeShortcutHelp();
+        });
+
+        document.getElementById('shortcutHelp').addEventListener('click', (e) => {
+            if (e.target.id === 'shortcutHelp') this.closeShortcutHelp();
         });
 
+        document.getElementById('resetKeyBindings').addEventListener('click', () => {
+            this.resetKeyBindings();
+        });
+
+        // Back/forward navigation between views
+        window.addEventListener('popstate', (e) => this.handlePopState(e));
+
         // Handle window resize for mobile detection
         window.addEventListener('resize', () => {
             const wasMobile = this.isMobile;
@@ -757,6 +5934,7 @@ class OuluWebCams {
         if (this.config.cameraCount > 8) {
             this.config.cameraCount = 8;
             cameraCountSelect.value = '8';
+            this.saveSettings();
             this.renderCameras();
         }
 
@@ -766,14 +5944,22 @@ class OuluWebCams {
     updateModeSelectors() {
         const municipalitySelector = document.getElementById('municipalitySelector');
         const stationSelector = document.getElementById('stationSelector');
+        const groupSelector = document.getElementById('groupSelector');
+        const proximitySelector = document.getElementById('proximitySelector');
 
         municipalitySelector.classList.add('hidden');
         stationSelector.classList.add('hidden');
+        groupSelector.classList.add('hidden');
+        proximitySelector.classList.add('hidden');
 
         if (this.config.cyclingMode === 'municipality') {
             municipalitySelector.classList.remove('hidden');
         } else if (this.config.cyclingMode === 'station') {
             stationSelector.classList.remove('hidden');
+        } else if (this.config.cyclingMode === 'group') {
+            groupSelector.classList.remove('hidden');
+        } else if (this.config.cyclingMode === 'proximity') {
+            proximitySelector.classList.remove('hidden');
         }
     }
 
@@ -836,7 +6022,7 @@ class OuluWebCams {
     }
 
     updateCycleTimeOptions() {
-        const cameraCount = this.config.cameraCount;
+        const cameraCount = this.getTileCount();
         const intervalSelect = document.getElementById('cyclingInterval');
         const warningDiv = document.getElementById('rateLimitWarning');
 
@@ -851,7 +6037,9 @@ class OuluWebCams {
             16: 20000  // 16 cameras: 20s min (as requested)
         };
 
-        const minTime = minCycleTimes[cameraCount] || 10000;
+        // Layouts can have tile counts in between, use the next larger grid's limit
+        const gridSize = Object.keys(minCycleTimes).map(Number).find(size => size >= cameraCount) || 16;
+        const minTime = minCycleTimes[gridSize];
         const currentValue = parseInt(intervalSelect.value);
 
         // Update options based on minimum time
@@ -898,6 +6086,14 @@ class OuluWebCams {
         const modal = document.getElementById('cameraModal');
         modal.classList.add('hidden');
         modal.style.display = 'none';
+
+        this.stopTimelapse();
+        this.releaseTimelapseFrames();
+
+        if (this.modalCamera) {
+            this.modalCamera = null;
+            this.updateUrl();
+        }
     }
 
     updateStatus(message, type = 'info') {
@@ -922,59 +6118,40 @@ class OuluWebCams {
     }
 
     /**
-     * Start periodic image refresh (every minute)
-     * This ensures images don't go stale while keeping the same cameras displayed
+     * Reload tiles whose preset has a newer image than the one displayed and
+     * flash them. Unchanged tiles only get their age text updated.
+     * Returns the number of tiles refreshed.
      */
-    startImageRefresh() {
-        console.log('Starting image refresh timer (60 seconds)');
-
-        this.imageRefreshInterval = setInterval(() => {
-            if (this.currentImages.length > 0) {
-                console.log('Refreshing camera images...');
-                this.refreshCurrentImages();
+    // Reload the changed tiles together; scheduler.limit() bounds the parallel requests
+    async refreshCurrentImages() {
+        const loads = this.currentImages.map(async (currentCamera, i) => {
+            const container = document.getElementById(`camera-${i}`);
+
+            // Skip if container doesn't exist or is a placeholder
+            if (!container || container.classList.contains('camera-placeholder') || !currentCamera) {
+                return false;
             }
-        }, 60000); // 60 seconds = 1 minute
-    }
 
-    /**
-     * Refresh the images of currently displayed cameras
-     */
-    refreshCurrentImages() {
-        const cameraGrid = document.getElementById('cameraGrid');
-        if (!cameraGrid) return;
-
-        const containers = cameraGrid.querySelectorAll('.camera-container');
-        let refreshCount = 0;
-
-        containers.forEach((container, index) => {
-            const img = container.querySelector('img');
-            const cameraData = this.currentImages[index];
-
-            if (img && cameraData && cameraData.presets && cameraData.presets.length > 0) {
-                // Add timestamp to prevent caching
-                const imageUrl = cameraData.presets[0].imageUrl + '?t=' + Date.now();
-
-                // Create a new image to test if it loads
-                const testImg = new Image();
-                testImg.onload = () => {
-                    img.src = imageUrl;
-                    refreshCount++;
-
-                    // Update the timestamp overlay if it exists
-                    const timestamp = container.querySelector('.camera-timestamp');
-                    if (timestamp) {
-                        timestamp.textContent = new Date().toLocaleTimeString();
-                    }
-                };
+            const latest = this.allCameras.find(c => c.presetId === currentCamera.presetId);
+            if (!latest) return false;
 
-                testImg.onerror = () => {
-                    console.warn(`Failed to refresh image for camera ${cameraData.id}`);
-                };
+            // Keep per-view extras such as proximity distance
+            const updatedCamera = { ...currentCamera, ...latest };
 
-                testImg.src = imageUrl;
+            if (latest.measuredTime > currentCamera.measuredTime) {
+                // A failed load shows the tile's error state instead
+                const loaded = await this.loadSingleCamera(i, updatedCamera);
+                if (loaded) this.flashNewImage(container);
+                return loaded;
             }
+
+            this.updateCameraInfo(container, updatedCamera);
+            this.currentImages[i] = updatedCamera;
+            return false;
         });
 
+        const refreshCount = (await Promise.all(loads)).filter(Boolean).length;
+
         if (refreshCount > 0) {
             console.log(`Refreshed ${refreshCount} camera images`);
             // Update the last update timestamp
@@ -983,17 +6160,16 @@ class OuluWebCams {
                 lastUpdate.textContent = `Images refreshed: ${new Date().toLocaleTimeString()}`;
             }
         }
+
+        return refreshCount;
     }
 
-    /**
-     * Stop image refresh timer
-     */
-    stopImageRefresh() {
-        if (this.imageRefreshInterval) {
-            clearInterval(this.imageRefreshInterval);
-            this.imageRefreshInterval = null;
-            console.log('Stopped image refresh timer');
-        }
+    flashNewImage(container) {
+        container.classList.remove('new-image');
+        // Restart the animation if the tile flashed recently
+        void container.offsetWidth;
+        container.classList.add('new-image');
+        setTimeout(() => container.classList.remove('new-image'), 3000);
     }
 }
 
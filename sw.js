@@ -0,0 +1,147 @@
+// Oulu WebCams - Service worker
+// Caches the app shell, the municipality GeoJSON and the latest image of the
+// most recently shown camera presets so the dashboard can render its last
+// snapshot while offline. The camera list snapshot itself is written to
+// DATA_CACHE by the page.
+//
+// Only CORS responses are stored: opaque ones count against the storage quota
+// with a large padding each.
+
+const SHELL_CACHE = 'ouluwebcams-shell-v2';
+const IMAGE_CACHE = 'ouluwebcams-images-v2';
+const DATA_CACHE = 'ouluwebcams-data';
+const MAX_CACHED_IMAGES = 48; // About two screens of tiles
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    'css.css',
+    'js.js',
+    'geo-index.js',
+    'geo-worker.js',
+    'finnish-municipalities-wgs84.geojson'
+];
+
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/basecoat-css@0.3.2/dist/basecoat.cdn.min.css',
+    'https://cdn.jsdelivr.net/npm/basecoat-css@0.3.2/dist/js/basecoat.min.js',
+    'https://cdn.jsdelivr.net/npm/basecoat-css@0.3.2/dist/js/popover.min.js',
+    'https://unpkg.com/@turf/turf@6/turf.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_ASSETS);
+
+        // CDN assets are nice to have offline but must not block installation
+        await Promise.all(CDN_ASSETS.map(async (url) => {
+            try {
+                const response = await fetch(url, { mode: 'cors' });
+                if (response.ok) await cache.put(url, response);
+            } catch (error) {
+                console.warn('Could not cache', url, error);
+            }
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, IMAGE_CACHE, DATA_CACHE];
+        const names = await caches.keys();
+
+        await Promise.all(names
+            .filter(name => name.startsWith('ouluwebcams-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    // GraphQL queries are POSTs; the page keeps its own snapshot of the camera list
+    if (request.method !== 'GET') return;
+
+    if (request.destination === 'image') {
+        event.respondWith(fetchImage(request));
+        return;
+    }
+
+    // Everything else (fixtures, snapshot, worker fetches) goes straight to the network
+    if (isShellAsset(request.url)) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+function isShellAsset(url) {
+    const { origin, pathname } = new URL(url);
+    if (origin !== self.location.origin) return CDN_ASSETS.includes(url);
+
+    return SHELL_ASSETS.some(asset => new URL(asset, self.registration.scope).pathname === pathname);
+}
+
+// A failed write only costs the offline copy, never the response itself
+async function putInCache(cache, key, response) {
+    try {
+        await cache.put(key, response);
+        return true;
+    } catch (error) {
+        console.warn('Could not cache', key.url || key, error);
+
+        // Images are the bulk of the storage; drop them so the shell and snapshot still fit
+        if (error.name === 'QuotaExceededError') {
+            await caches.delete(IMAGE_CACHE);
+        }
+        return false;
+    }
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            putInCache(cache, request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Camera images are versioned with a ?t=<measuredTime> parameter. Caching
+ * without it keeps exactly one, the most recent, image per preset.
+ */
+async function fetchImage(request) {
+    const key = new URL(request.url);
+    key.searchParams.delete('t');
+
+    const cache = await caches.open(IMAGE_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && await putInCache(cache, key.href, response.clone())) {
+            trimImageCache(cache);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key.href);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function trimImageCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.slice(0, Math.max(keys.length - MAX_CACHED_IMAGES, 0));
+    await Promise.all(excess.map(key => cache.delete(key)));
+}
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createInstance, plain } = require('./helpers/load-app');
+
+const { OuluWebCams } = loadApp();
+
+function createCameras(ids) {
+    return ids.map((presetId, i) => ({ presetId, measuredTime: new Date(Date.now() - i * 60000) }));
+}
+
+// The filters have their own config; cycling starts from whatever they return
+function createCycler(cameras, cycleStrategy, state = {}) {
+    return createInstance(OuluWebCams, {
+        cameras,
+        config: { cycleStrategy, imageIssuePolicy: 'off', cameraPriorities: {} },
+        getFilteredCameras() {
+            return this.cameras;
+        },
+        ...state
+    });
+}
+
+function readPass(order, pass) {
+    return Array.from({ length: order.length }, (_, i) => order.at(pass * order.length + i).presetId);
+}
+
+test('sequential cycling follows the list order and wraps around', () => {
+    const cycler = createCycler(createCameras(['C', 'A', 'B']), 'sequential');
+    const order = cycler.getCycleOrder();
+
+    assert.deepEqual(readPass(order, 0), ['C', 'A', 'B']);
+    assert.deepEqual(readPass(order, 1), ['C', 'A', 'B']);
+});
+
+test('pinned cameras are left out of the cycle', () => {
+    const cycler = createCycler(createCameras(['A', 'B', 'C']), 'sequential', {
+        lockedCameras: new Map([['B', 0]])
+    });
+
+    assert.deepEqual(readPass(cycler.getCycleOrder(), 0), ['A', 'C']);
+});
+
+test('a shuffle pass is a permutation that survives a reordered list', () => {
+    const ids = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+    const cycler = createCycler(createCameras(ids), 'shuffle');
+    const first = readPass(cycler.getCycleOrder(), 0);
+
+    assert.deepEqual([...first].sort(), ids);
+
+    // A refresh reorders the cameras by capture time
+    cycler.cameras = createCameras([...ids].reverse());
+    assert.deepEqual(readPass(cycler.getCycleOrder(), 0), first);
+});
+
+test('each shuffle pass gets its own order from the same seed', () => {
+    const ids = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+    const passes = [0, 1, 2].map(pass => readPass(createCycler(createCameras(ids), 'shuffle').getCycleOrder(), pass));
+
+    passes.forEach(pass => assert.deepEqual([...pass].sort(), ids));
+    assert.notDeepEqual(passes[0], passes[1]);
+    assert.deepEqual(readPass(createCycler(createCameras(ids), 'shuffle').getCycleOrder(), 1), passes[1]);
+});
+
+test('the cycle window returns distinct cameras even from a weighted pass', () => {
+    const cycler = createCycler(createCameras(['A', 'B', 'C', 'D']), 'priority');
+    cycler.config.cameraPriorities = { A: 5 };
+
+    const { cameras, consumed } = cycler.getCycleWindow(0, 3);
+    const ids = cameras.map(c => c.presetId);
+
+    assert.equal(ids.length, 3);
+    assert.equal(new Set(ids).size, 3);
+    assert.ok(consumed >= 3);
+});
+
+test('the cycle window is empty when nothing is left to cycle', () => {
+    const cycler = createCycler([], 'sequential');
+
+    assert.deepEqual(plain(cycler.getCycleWindow(0, 4)), { cameras: [], consumed: 0 });
+});
+
+test('skipped bad pictures sit out the cycle unless nothing else is left', () => {
+    const flagged = { frameIssue: 'black', frameCheckedAt: Date.now() };
+    const cycler = createCycler(createCameras(['A', 'B', 'C']), 'sequential', {
+        cameraHealth: new Map([['B', flagged]])
+    });
+    cycler.config.imageIssuePolicy = 'skip';
+
+    assert.deepEqual(readPass(cycler.getCycleOrder(), 0), ['A', 'C']);
+
+    cycler.cameraHealth.set('A', flagged).set('C', flagged);
+    assert.deepEqual(readPass(cycler.getCycleOrder(), 0), ['A', 'B', 'C']);
+
+    cycler.config.imageIssuePolicy = 'badge';
+    cycler.cameraHealth.delete('A');
+    assert.deepEqual(readPass(cycler.getCycleOrder(), 0), ['A', 'B', 'C']);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/load-app');
+
+const { CAMERA_DATA_SOURCES } = loadApp();
+
+test('oulunliikenne.normalize flattens stations into preset records', () => {
+    const records = CAMERA_DATA_SOURCES.oulunliikenne.normalize({
+        data: {
+            cameras: [{
+                cameraId: 'C01501',
+                name: 'Oulu_Kaijonharju',
+                lat: 65.05,
+                lon: 25.46,
+                presets: [
+                    { presetId: 'C0150101', presentationName: 'North', imageUrl: 'a.jpg', measuredTime: '2025-01-15T10:00:00Z' },
+                    { presetId: 'C0150102', presentationName: 'South', imageUrl: 'b.jpg', measuredTime: '2025-01-15T10:05:00Z' }
+                ]
+            }]
+        }
+    });
+
+    assert.deepEqual(plain(records), [
+        {
+            presetId: 'C0150101', presentationName: 'North', imageUrl: 'a.jpg', measuredTime: '2025-01-15T10:00:00Z',
+            stationName: 'Oulu_Kaijonharju', cameraId: 'C01501', lat: 65.05, lon: 25.46
+        },
+        {
+            presetId: 'C0150102', presentationName: 'South', imageUrl: 'b.jpg', measuredTime: '2025-01-15T10:05:00Z',
+            stationName: 'Oulu_Kaijonharju', cameraId: 'C01501', lat: 65.05, lon: 25.46
+        }
+    ]);
+});
+
+test('oulunliikenne.normalize tolerates an empty response', () => {
+    assert.deepEqual(plain(CAMERA_DATA_SOURCES.oulunliikenne.normalize(null)), []);
+    assert.deepEqual(plain(CAMERA_DATA_SOURCES.oulunliikenne.normalize({ data: {} })), []);
+});
+
+test('digitraffic.normalize joins station metadata with capture times', () => {
+    const stations = {
+        features: [{
+            geometry: { coordinates: [25.47, 65.01] },
+            properties: {
+                id: 'C14501',
+                name: 'vt4_Oulu',
+                presets: [
+                    { id: 'C1450101', presentationName: 'Keskustaan' },
+                    { id: 'C1450102', inCollection: false },
+                    { id: 'C1450103' }
+                ]
+            }
+        }]
+    };
+    const data = {
+        stations: [{
+            presets: [
+                { id: 'C1450101', measuredTime: '2025-01-15T10:00:00Z' },
+                { id: 'C1450102', measuredTime: '2025-01-15T10:00:00Z' }
+            ]
+        }]
+    };
+
+    assert.deepEqual(plain(CAMERA_DATA_SOURCES.digitraffic.normalize(stations, data)), [{
+        presetId: 'C1450101',
+        presentationName: 'Keskustaan',
+        imageUrl: 'https://weathercam.digitraffic.fi/C1450101.jpg',
+        measuredTime: '2025-01-15T10:00:00Z',
+        stationName: 'vt4_Oulu',
+        cameraId: 'C14501',
+        lat: 65.01,
+        lon: 25.47
+    }]);
+});
+
+test('fixture.rebaseTimes moves the newest image to now and keeps the spacing', () => {
+    const before = Date.now();
+    const records = CAMERA_DATA_SOURCES.fixture.rebaseTimes([
+        { presetId: 'A', measuredTime: '2025-01-15T10:00:00Z' },
+        { presetId: 'B', measuredTime: '2025-01-15T10:10:00Z' }
+    ], 'rebase-spacing.json');
+
+    const [a, b] = records.map(record => new Date(record.measuredTime).getTime());
+    assert.ok(b >= before && b <= Date.now());
+    assert.equal(b - a, 10 * 60000);
+});
+
+test('fixture.rebaseTimes keeps one offset per endpoint across loads', async () => {
+    const input = [{ presetId: 'A', measuredTime: '2025-01-15T10:00:00Z' }];
+    const first = CAMERA_DATA_SOURCES.fixture.rebaseTimes(input, 'rebase-stable.json');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = CAMERA_DATA_SOURCES.fixture.rebaseTimes(input, 'rebase-stable.json');
+
+    assert.equal(second[0].measuredTime, first[0].measuredTime);
+});
+
+test('fixture.rebaseTimes leaves empty lists and unparseable times alone', () => {
+    assert.deepEqual(plain(CAMERA_DATA_SOURCES.fixture.rebaseTimes([], 'rebase-empty.json')), []);
+
+    const records = CAMERA_DATA_SOURCES.fixture.rebaseTimes([
+        { presetId: 'A', measuredTime: 'not a time' },
+        { presetId: 'B' },
+        { presetId: 'C', measuredTime: '2025-01-15T10:00:00Z' }
+    ], 'rebase-invalid.json');
+
+    assert.equal(records[0].measuredTime, 'not a time');
+    assert.equal(records[1].measuredTime, undefined);
+    assert.ok(Math.abs(new Date(records[2].measuredTime).getTime() - Date.now()) < 1000);
+});
+
+test('fixture.playFrames advances live presets and cycles their frames', () => {
+    const start = Date.now() - 150 * 1000;
+    const records = [
+        { presetId: 'LIVE', imageUrl: 'one.svg', measuredTime: new Date(start).toISOString() },
+        { presetId: 'FROZEN', imageUrl: 'still.svg', measuredTime: new Date(start).toISOString() },
+        { presetId: 'STATIC', imageUrl: 'static.svg', measuredTime: new Date(start).toISOString() }
+    ];
+    const data = [
+        { presetId: 'LIVE', frameInterval: 60, frames: ['one.svg', 'two.svg'] },
+        { presetId: 'FROZEN', frameInterval: 60 },
+        { presetId: 'STATIC' }
+    ];
+
+    const [live, frozen, still] = CAMERA_DATA_SOURCES.fixture.playFrames(records, data);
+
+    // Two whole intervals have passed
+    assert.equal(new Date(live.measuredTime).getTime(), start + 2 * 60000);
+    assert.equal(live.imageUrl, 'one.svg');
+    assert.equal(new Date(frozen.measuredTime).getTime(), start + 2 * 60000);
+    assert.equal(frozen.imageUrl, 'still.svg');
+    assert.equal(still, records[2]);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp, createInstance } = require('./helpers/load-app');
+
+const { OuluWebCams } = loadApp();
+const analyzer = createInstance(OuluWebCams);
+
+// A 32x32 frame from a function of the pixel position
+function createFrame(luminanceAt) {
+    return Float32Array.from({ length: 32 * 32 }, (_, i) => luminanceAt(i % 32, Math.floor(i / 32)));
+}
+
+test('classifyFrame recognizes black, overexposed and featureless pictures', () => {
+    assert.equal(analyzer.classifyFrame(createFrame(() => 5)), 'black');
+    assert.equal(analyzer.classifyFrame(createFrame(() => 250)), 'overexposed');
+    assert.equal(analyzer.classifyFrame(createFrame(x => 128 + (x % 2))), 'featureless');
+});
+
+test('classifyFrame passes an ordinary picture', () => {
+    assert.equal(analyzer.classifyFrame(createFrame((x, y) => 40 + x * 3 + y * 2)), null);
+});
+
+test('hashFrame sets a bit wherever a pixel is brighter than its right neighbour', () => {
+    const falling = Array.from({ length: 9 * 8 }, (_, i) => 9 - (i % 9));
+    const rising = Array.from({ length: 9 * 8 }, (_, i) => i % 9);
+
+    assert.equal(analyzer.hashFrame(falling), 'ffffffffffffffff');
+    assert.equal(analyzer.hashFrame(rising), '0000000000000000');
+});
+
+test('getHashDistance counts the differing bits', () => {
+    assert.equal(analyzer.getHashDistance('0000000000000000', '0000000000000000'), 0);
+    assert.equal(analyzer.getHashDistance('0000000000000000', '0000000000000013'), 3);
+    assert.equal(analyzer.getHashDistance('0000000000000000', 'ffffffffffffffff'), 64);
+});
+
+test('light refreshes of the fixture keep live presets moving and flag the frozen one', async () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'cameras.json'), 'utf8'));
+    let now = Date.UTC(2025, 5, 1, 12);
+    class FakeDate extends Date {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [now]));
+        }
+
+        static now() {
+            return now;
+        }
+    }
+
+    const { OuluWebCams, CAMERA_DATA_SOURCES } = loadApp({
+        globals: {
+            Date: FakeDate,
+            fetch: async () => ({ ok: true, json: async () => fixture })
+        }
+    });
+    const source = CAMERA_DATA_SOURCES.fixture;
+    const live = ['C0150101', 'C0150604'];
+    const records = (await source.load('fixtures/cameras.json')).filter(record => live.includes(record.presetId));
+
+    // Each fixture frame hashes differently, an ordinary picture otherwise
+    const luminance = createFrame((x, y) => 40 + x * 3 + y * 2);
+    const hashGrids = {
+        'fixtures/images/C0150101.svg': Array.from({ length: 9 * 8 }, (_, i) => 9 - (i % 9)),
+        'fixtures/images/C0150101-2.svg': Array.from({ length: 9 * 8 }, (_, i) => i % 9),
+        'fixtures/images/C0150604.svg': Array.from({ length: 9 * 8 }, (_, i) => (i % 2 ? 9 : 0))
+    };
+    const app = createInstance(OuluWebCams, {
+        config: { imageIssuePolicy: 'badge' },
+        allCameras: records.map(record => ({ ...record, measuredTime: new Date(record.measuredTime) })),
+        filterCameras: cameras => cameras,
+        observeCameraHealth() {},
+        isImageReady: async () => true,
+        sampleFrame: img => ({ luminance, hashGrid: hashGrids[img.src] }),
+        scheduleHealthSave() {},
+        updateImageIssueBadges() {}
+    });
+    const analyzeAll = () => Promise.all(app.allCameras.map(camera => app.analyzeFrame(camera, { src: camera.imageUrl })));
+
+    await analyzeAll();
+    for (let refresh = 0; refresh < 3; refresh++) {
+        now += 60 * 1000;
+        assert.equal(app.applyMeasuredTimes(await source.loadTimes('fixtures/cameras.json')), 2);
+        await analyzeAll();
+    }
+
+    assert.equal(app.allCameras[0].imageUrl, 'fixtures/images/C0150101-2.svg');
+    assert.equal(app.getHealth('C0150101').frameIssue, null);
+    assert.equal(app.getHealth('C0150604').frameIssue, 'frozen');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const turf = require('@turf/turf');
+
+// geo-index.js is a classic script shared by the page and the worker
+const context = vm.createContext({ turf });
+vm.runInContext(`${fs.readFileSync(path.join(__dirname, '..', 'geo-index.js'), 'utf8')}\nthis.MunicipalityIndex = MunicipalityIndex;`, context);
+const { MunicipalityIndex } = context;
+
+function createSquare(nimi, west, south, size) {
+    return {
+        type: 'Feature',
+        properties: { nimi, kunta: nimi.slice(0, 3) },
+        geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [west + size, south], [west + size, south + size], [west, south + size], [west, south]]]
+        }
+    };
+}
+
+const index = new MunicipalityIndex({
+    type: 'FeatureCollection',
+    features: [
+        createSquare('Oulu', 25.2, 64.8, 0.6),
+        createSquare('Kempele', 25.3, 64.6, 0.2),
+        { type: 'Feature', properties: { nimi: 'Nowhere' }, geometry: null }
+    ]
+});
+
+test('lookup finds the municipality containing a point', () => {
+    assert.equal(index.lookup(65.01, 25.47), 'Oulu');
+    assert.equal(index.lookup(64.7, 25.4), 'Kempele');
+});
+
+test('lookup reports points outside every municipality as Unknown', () => {
+    assert.equal(index.lookup(64.7, 25.1), 'Unknown');
+    assert.equal(index.lookup(60.17, 24.94), 'Unknown');
+});
+
+test('within returns the features overlapping a bounding box', () => {
+    assert.deepEqual(Array.from(index.within([25.0, 64.65, 25.35, 64.9]), f => f.properties.nimi), ['Oulu', 'Kempele']);
+    assert.deepEqual(Array.from(index.within([25.9, 64.9, 26.0, 65.0]), f => f.properties.nimi), []);
+});
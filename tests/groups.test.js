@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createInstance, plain } = require('./helpers/load-app');
+
+const { OuluWebCams } = loadApp();
+
+function createCamera(presetId) {
+    return { presetId, cameraId: presetId.slice(0, 6), municipality: 'Oulu', measuredTime: new Date() };
+}
+
+function createGroupApp(state = {}) {
+    const allCameras = ['C0150101', 'C0150201', 'C0150301', 'C0150401'].map(createCamera);
+    return createInstance(OuluWebCams, {
+        allCameras,
+        // The stale filter has hidden C0150301
+        cameras: allCameras.filter(c => c.presetId !== 'C0150301'),
+        cameraGroups: [{ id: 'commute', name: 'Commute', presetIds: ['C0150401', 'C0150301', 'C0150999', 'C0150101'] }],
+        config: {
+            cyclingMode: 'group',
+            selectedGroup: 'commute',
+            filterQuery: '',
+            filterMunicipalities: [],
+            filterAge: '',
+            filterMultiPreset: false
+        },
+        ...state
+    });
+}
+
+test('group mode keeps the hand-picked order and members hidden by the stale filter', () => {
+    const app = createGroupApp();
+
+    assert.deepEqual(app.getFilteredCameras().map(c => c.presetId), ['C0150401', 'C0150301', 'C0150101']);
+});
+
+test('group mode shows nothing without a selected group', () => {
+    const app = createGroupApp();
+    app.config.selectedGroup = 'deleted';
+
+    assert.deepEqual(plain(app.getFilteredCameras()), []);
+});
+
+test('importGroups replaces groups with the same ID, adds new ones and skips invalid entries', async () => {
+    const app = createGroupApp({
+        onGroupsChanged() {},
+        updateStatus() {}
+    });
+    const file = {
+        text: async () => JSON.stringify({
+            groups: [
+                { id: 'harbour', name: 'Harbour', presetIds: ['C0150201'] },
+                { id: 'commute', name: 'Commute', presetIds: [1502, 'C0150101'] },
+                { id: 'broken', name: 'Broken' }
+            ]
+        })
+    };
+
+    await app.importGroups(file);
+
+    assert.deepEqual(plain(app.cameraGroups), [
+        { id: 'commute', name: 'Commute', presetIds: ['1502', 'C0150101'] },
+        { id: 'harbour', name: 'Harbour', presetIds: ['C0150201'] }
+    ]);
+    assert.equal(app.config.selectedGroup, 'harbour');
+});
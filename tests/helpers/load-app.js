@@ -0,0 +1,94 @@
+// Oulu WebCams - Test helper
+// Runs js.js in a sandbox with just enough of a browser to define its adapters
+// and classes, without starting the app.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'js.js'), 'utf8');
+
+const EXPORTS = [
+    'CAMERA_DATA_SOURCES',
+    'SETTINGS_VERSION',
+    'SETTINGS_MIGRATIONS',
+    'RefreshScheduler',
+    'OuluWebCams'
+];
+
+// Minimal stand-in for a <select>: options with a value and a class list
+function createSelect(values, hiddenValues = []) {
+    return {
+        tagName: 'SELECT',
+        multiple: false,
+        options: values.map(value => ({
+            value: String(value),
+            classList: { contains: name => name === 'mobile-hidden' && hiddenValues.includes(value) }
+        }))
+    };
+}
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Load js.js. `search` becomes window.location.search, `elements` maps
+ * element IDs to the stubs getElementById() returns and `globals` adds
+ * page globals such as the turf library.
+ */
+function loadApp({ search = '', elements = {}, globals = {} } = {}) {
+    const location = new URL(`http://localhost/index.html${search}`);
+    const document = {
+        addEventListener() {},
+        getElementById: id => elements[id] || null,
+        querySelector: () => null,
+        querySelectorAll: () => []
+    };
+    const window = { location, addEventListener() {} };
+
+    const context = vm.createContext({
+        window,
+        document,
+        localStorage: createStorage(),
+        console: { log() {}, warn() {}, error() {} },
+        URL,
+        URLSearchParams,
+        AbortSignal,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        ...globals
+    });
+
+    const app = vm.runInContext(`${SOURCE}\n({ ${EXPORTS.join(', ')} });`, context);
+    return { ...app, context };
+}
+
+/**
+ * An app instance without running the constructor, which wires up the whole
+ * page. Tests fill in the state the methods under test read.
+ */
+function createInstance(OuluWebCams, state = {}) {
+    return Object.assign(Object.create(OuluWebCams.prototype), {
+        lockedCameras: new Map(),
+        cameraHealth: new Map(),
+        cycleSequences: new Map(),
+        cycleSequenceKey: null,
+        cycleSeed: 12345,
+        ...state
+    });
+}
+
+// Values from the sandbox have their own prototypes; compare them as plain data
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, createInstance, createSelect, plain };
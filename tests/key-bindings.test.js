@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createInstance, createSelect, plain } = require('./helpers/load-app');
+
+function createKeyApp(state = {}) {
+    const { OuluWebCams } = loadApp({
+        elements: {
+            cameraCount: createSelect([1, 2, 4, 6, 8, 9, 12, 16], [9, 12, 16]),
+            cameraModal: { style: { display: 'none' } }
+        }
+    });
+    const actions = [];
+    const app = createInstance(OuluWebCams, {
+        config: {},
+        saveSettings() {},
+        renderShortcutHelp() {},
+        runKeyAction: action => actions.push(action),
+        setCameraCount: count => actions.push(`count:${count}`),
+        ...state
+    });
+    app.config.keyBindings = app.getDefaultKeyBindings();
+    return { app, actions };
+}
+
+function press(app, key, options = {}) {
+    const event = {
+        key,
+        ctrlKey: false,
+        metaKey: false,
+        altKey: false,
+        target: { closest: () => null },
+        defaultPrevented: false,
+        preventDefault() {
+            this.defaultPrevented = true;
+        },
+        ...options
+    };
+    app.handleKeydown(event);
+    return event;
+}
+
+test('bound keys run their action, letters in either case', () => {
+    const { app, actions } = createKeyApp();
+
+    press(app, 'n');
+    press(app, 'P');
+    const event = press(app, 'ArrowLeft');
+
+    assert.deepEqual(actions, ['nextCycle', 'previousCycle', 'focusLeft']);
+    assert.equal(event.defaultPrevented, true);
+});
+
+test('typing in form fields and browser shortcuts are left alone', () => {
+    const { app, actions } = createKeyApp();
+
+    press(app, 'n', { target: { closest: selector => (selector.includes('input') ? {} : null) } });
+    press(app, 'n', { ctrlKey: true });
+
+    assert.deepEqual(actions, []);
+});
+
+test('number keys pick the nth camera count shown on this screen', () => {
+    const { app, actions } = createKeyApp();
+
+    press(app, '5');
+    press(app, '6');
+
+    assert.deepEqual(actions, ['count:8']);
+});
+
+test('binding a key that is in use swaps it with the old key', () => {
+    const { app } = createKeyApp();
+
+    app.capturingBinding = 'nextCycle';
+    press(app, 'P');
+
+    assert.equal(app.config.keyBindings.nextCycle, 'p');
+    assert.equal(app.config.keyBindings.previousCycle, 'n');
+    assert.equal(app.capturingBinding, null);
+});
+
+test('Escape and number keys cancel a new binding', () => {
+    const { app } = createKeyApp();
+    const defaults = plain(app.getDefaultKeyBindings());
+
+    app.capturingBinding = 'nextCycle';
+    press(app, 'Escape');
+    app.capturingBinding = 'nextCycle';
+    press(app, '3');
+
+    assert.deepEqual(plain(app.config.keyBindings), defaults);
+});
+
+test('isSelectOption skips options hidden on mobile', () => {
+    const { app } = createKeyApp();
+
+    assert.equal(app.isSelectOption('cameraCount', 8), true);
+    assert.equal(app.isSelectOption('cameraCount', 12), false);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const turf = require('@turf/turf');
+const { loadApp, createInstance, plain } = require('./helpers/load-app');
+
+const { OuluWebCams } = loadApp({ globals: { turf } });
+
+function createCamera(presetId, lat, lon) {
+    return { presetId, lat, lon };
+}
+
+function createProximityApp(config, state = {}) {
+    return createInstance(OuluWebCams, {
+        config: {
+            proximityTarget: 'point',
+            proximityPoint: null,
+            proximityRoute: null,
+            proximityRadius: 15,
+            viewMode: 'grid',
+            ...config
+        },
+        ...state
+    });
+}
+
+test('point proximity keeps cameras within the radius, nearest first', () => {
+    const cameras = [
+        createCamera('NORTH', 65.1, 25.5),
+        createCamera('FAR', 65.7, 24.6),
+        createCamera('CENTRE', 65.02, 25.47),
+        createCamera('SOUTH', 64.9, 25.4)
+    ];
+    const app = createProximityApp({ proximityPoint: { lat: 65.0121, lon: 25.4651 } });
+
+    const nearby = app.getProximityCameras(cameras);
+
+    assert.deepEqual(nearby.map(c => c.presetId), ['CENTRE', 'NORTH', 'SOUTH']);
+    assert.ok(nearby[0].distanceKm < 1);
+
+    app.config.proximityRadius = 5;
+    assert.deepEqual(app.getProximityCameras(cameras).map(c => c.presetId), ['CENTRE']);
+});
+
+test('route proximity keeps cameras along the route in travel order', () => {
+    const cameras = [
+        createCamera('EAST', 65.005, 25.55),
+        createCamera('OFF_ROUTE', 65.2, 25.5),
+        createCamera('WEST', 65.005, 25.42)
+    ];
+    const app = createProximityApp({
+        proximityTarget: 'route',
+        proximityRadius: 2,
+        proximityRoute: [[25.4, 65.0], [25.6, 65.0]]
+    });
+
+    assert.deepEqual(app.getProximityCameras(cameras).map(c => c.presetId), ['WEST', 'EAST']);
+
+    app.config.proximityRoute = [[25.6, 65.0], [25.4, 65.0]];
+    assert.deepEqual(app.getProximityCameras(cameras).map(c => c.presetId), ['EAST', 'WEST']);
+});
+
+test('proximity mode shows nothing until a point or route is set', () => {
+    const cameras = [createCamera('CENTRE', 65.02, 25.47)];
+
+    assert.deepEqual(plain(createProximityApp({}).getProximityCameras(cameras)), []);
+    assert.deepEqual(plain(createProximityApp({ proximityTarget: 'route' }).getProximityCameras(cameras)), []);
+});
+
+function createRouteApp() {
+    const statuses = [];
+    const app = createProximityApp({}, {
+        syncProximityControls() {},
+        saveSettings() {},
+        updateUrl() {},
+        renderCameras() {},
+        getFilteredCameras: () => [],
+        updateStatus: (message, type) => statuses.push(type)
+    });
+    return { app, statuses };
+}
+
+test('setProximityRoute takes the first LineString of a FeatureCollection', () => {
+    const { app, statuses } = createRouteApp();
+
+    app.setProximityRoute(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', geometry: { type: 'Point', coordinates: [25, 65] } },
+            { type: 'Feature', geometry: { type: 'LineString', coordinates: [[25.4, 65.0, 12], [25.6, 65.1, 14]] } }
+        ]
+    }));
+
+    assert.equal(app.config.proximityTarget, 'route');
+    assert.deepEqual(plain(app.config.proximityRoute), [[25.4, 65.0], [25.6, 65.1]]);
+    assert.deepEqual(statuses, ['success']);
+});
+
+test('setProximityRoute rejects anything but a LineString with two points', () => {
+    const { app, statuses } = createRouteApp();
+
+    app.setProximityRoute(JSON.stringify({ type: 'LineString', coordinates: [[25.4, 65.0]] }));
+    app.setProximityRoute('not json');
+
+    assert.equal(app.config.proximityRoute, null);
+    assert.equal(app.config.proximityTarget, 'point');
+    assert.deepEqual(statuses, ['error', 'error']);
+});
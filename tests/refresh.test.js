@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createInstance } = require('./helpers/load-app');
+
+function createTile() {
+    return { classList: { contains: () => false } };
+}
+
+function createCamera(presetId, minutesAgo) {
+    return { presetId, measuredTime: new Date(Date.UTC(2025, 0, 15, 10) - minutesAgo * 60000) };
+}
+
+test('changed tiles reload together and only successful loads flash', async () => {
+    const tiles = [createTile(), createTile(), createTile()];
+    const { OuluWebCams } = loadApp({
+        elements: { 'camera-0': tiles[0], 'camera-1': tiles[1], 'camera-2': tiles[2] }
+    });
+
+    const started = [];
+    const pending = new Map();
+    const flashed = [];
+    const app = createInstance(OuluWebCams, {
+        currentImages: [createCamera('A', 10), createCamera('B', 10), createCamera('C', 10)],
+        // A and B have newer images, C is unchanged
+        allCameras: [createCamera('A', 0), createCamera('B', 0), createCamera('C', 10)],
+        loadSingleCamera(index, camera) {
+            started.push(camera.presetId);
+            return new Promise(resolve => pending.set(camera.presetId, resolve));
+        },
+        updateCameraInfo() {},
+        flashNewImage: container => flashed.push(tiles.indexOf(container))
+    });
+
+    const refresh = app.refreshCurrentImages();
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Both loads are in flight before either finishes
+    assert.deepEqual(started, ['A', 'B']);
+
+    pending.get('B')(true);
+    pending.get('A')(false);
+
+    assert.equal(await refresh, 1);
+    assert.deepEqual(flashed, [1]);
+    assert.equal(app.currentImages[2].presetId, 'C');
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadApp } = require('./helpers/load-app');
+
+function createScheduler(random, options = {}) {
+    const { RefreshScheduler, context } = loadApp();
+    vm.runInContext(`Math.random = () => ${random};`, context);
+    return new RefreshScheduler({ retryDelay: 1000, maxBackoff: 8000, ...options });
+}
+
+test('backoff doubles per failure with half of it jittered', () => {
+    const low = createScheduler(0);
+    const high = createScheduler(0.999999);
+
+    [[1, 1000], [2, 2000], [3, 4000], [4, 8000]].forEach(([failures, exponential]) => {
+        assert.equal(low.getBackoffDelay({ failures }), exponential / 2);
+        assert.ok(high.getBackoffDelay({ failures }) < exponential);
+        assert.ok(high.getBackoffDelay({ failures }) > exponential * 0.99);
+    });
+});
+
+test('backoff stops growing at maxBackoff', () => {
+    const scheduler = createScheduler(0.999999);
+
+    assert.ok(scheduler.getBackoffDelay({ failures: 20 }) <= 8000);
+});
+
+test('a failing task backs off and recovers after a success', async () => {
+    const errors = [];
+    const backoff = [];
+    const scheduler = createScheduler(0, {
+        onTaskError: (name, error, delay) => errors.push([name, delay]),
+        onBackoffChange: backingOff => backoff.push(backingOff)
+    });
+    let runs = 0;
+
+    await new Promise(resolve => {
+        scheduler.addTask('flaky', 60000, async () => {
+            runs++;
+            if (runs === 1) throw new Error('offline');
+            resolve();
+        });
+        scheduler.runNow('flaky');
+    });
+
+    // The failed first run was retried after half the first retry delay
+    assert.deepEqual(errors, [['flaky', 500]]);
+    assert.equal(runs, 2);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(backoff, [true, false]);
+    assert.equal(scheduler.tasks.get('flaky').failures, 0);
+    scheduler.removeTask('flaky');
+});
+
+test('a slow run does not push back the next one', async () => {
+    const scheduler = createScheduler(0);
+    let startedAt = 0;
+
+    await new Promise(resolve => {
+        scheduler.addTask('slow', 1000, async () => {
+            startedAt = Date.now();
+            await new Promise(done => setTimeout(done, 50));
+            setImmediate(resolve);
+        });
+        scheduler.runNow('slow');
+    });
+
+    assert.ok(scheduler.getNextRun('slow') - startedAt <= 1010);
+    scheduler.removeTask('slow');
+});
+
+test('removeTask drops the task from the queue and its timer', () => {
+    const scheduler = createScheduler(0);
+    scheduler.pause('test');
+    scheduler.addTask('a', 1000, async () => {});
+    scheduler.addTask('b', 1000, async () => {});
+    scheduler.runNow('a');
+
+    scheduler.removeTask('a');
+
+    assert.equal(scheduler.hasTask('a'), false);
+    assert.equal(scheduler.queue.length, 0);
+    assert.equal(scheduler.getNextRun('b') > 0, true);
+    scheduler.removeTask('b');
+});
+
+test('limit never runs more than maxConcurrent calls at once', async () => {
+    const scheduler = createScheduler(0, { maxConcurrent: 2 });
+    let active = 0;
+    let peak = 0;
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.limit(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+    })));
+
+    assert.equal(peak, 2);
+    assert.equal(scheduler.activeRequests, 0);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createInstance, plain } = require('./helpers/load-app');
+
+const { OuluWebCams } = loadApp();
+
+function createCamera(presetId, stationName, municipality, minutesAgo = 0) {
+    return {
+        presetId,
+        cameraId: presetId.slice(0, 6),
+        stationName,
+        presentationName: 'Suunta',
+        municipality,
+        measuredTime: new Date(Date.now() - minutesAgo * 60000)
+    };
+}
+
+const cameras = [
+    createCamera('C0150101', 'vt4_Oulu_Kaijonharju', 'Oulu', 5),
+    createCamera('C0150201', 'Kempele_Zatelliitti', 'Kempele', 10),
+    createCamera('C0150301', 'vt20_Ylikiiminki', 'Oulu', 90),
+    createCamera('C0150302', 'vt20_Ylikiiminki', 'Oulu', 90),
+    createCamera('C0150401', 'Liminka_Ääninen', 'Liminka', 300)
+];
+
+function createSearchApp(config = {}, state = {}) {
+    return createInstance(OuluWebCams, {
+        allCameras: cameras,
+        cameras,
+        cameraGroups: [],
+        config: {
+            cyclingMode: 'all',
+            filterQuery: '',
+            filterMunicipalities: [],
+            filterAge: '',
+            filterMultiPreset: false,
+            ...config
+        },
+        ...state
+    });
+}
+
+function search(config) {
+    return plain(createSearchApp(config).getFilteredCameras().map(c => c.presetId));
+}
+
+test('search text ignores case, accents and underscores', () => {
+    const app = createSearchApp();
+
+    assert.equal(app.normalizeSearchText('Liminka_Ääninen  Tie'), 'liminka aaninen tie');
+    assert.equal(app.normalizeSearchText(undefined), '');
+});
+
+test('a prefix beats a word start, which beats a substring or a subsequence', () => {
+    const app = createSearchApp();
+    const camera = createCamera('C0150101', 'vt4_Oulu_Kaijonharju', 'Oulu');
+    const score = token => app.getSearchScore(camera, [token]);
+
+    assert.equal(score('vt4'), 4);
+    assert.equal(score('kaijon'), 3);
+    assert.equal(score('jonh'), 2);
+    assert.ok(score('kjnhrj') > 0 && score('kjnhrj') < 1);
+    assert.equal(score('rovaniemi'), 0);
+});
+
+test('every token has to match', () => {
+    const app = createSearchApp();
+    const camera = createCamera('C0150101', 'vt4_Oulu_Kaijonharju', 'Oulu');
+
+    assert.equal(app.getSearchScore(camera, ['oulu', 'kaijon']), 7);
+    assert.equal(app.getSearchScore(camera, ['oulu', 'kempele']), 0);
+});
+
+test('results are ordered by match quality and ties keep freshness order', () => {
+    assert.deepEqual(search({ filterQuery: 'ylikiiminki' }), ['C0150301', 'C0150302']);
+    assert.deepEqual(search({ filterQuery: 'ki' }), ['C0150301', 'C0150302', 'C0150101', 'C0150401', 'C0150201']);
+    assert.deepEqual(search({ filterQuery: 'aaninen' }), ['C0150401']);
+});
+
+test('facets narrow the results', () => {
+    assert.deepEqual(search({ filterMunicipalities: ['Kempele', 'Liminka'] }), ['C0150201', 'C0150401']);
+    assert.deepEqual(search({ filterAge: '0-60' }), ['C0150101', 'C0150201']);
+    assert.deepEqual(search({ filterAge: '240-' }), ['C0150401']);
+    assert.deepEqual(search({ filterMultiPreset: true }), ['C0150301', 'C0150302']);
+});
+
+test('the municipality facet leaves a group\'s members alone', () => {
+    const app = createSearchApp({
+        cyclingMode: 'group',
+        selectedGroup: 'coast',
+        filterMunicipalities: ['Oulu'],
+        filterQuery: 'vt'
+    }, {
+        cameraGroups: [{ id: 'coast', name: 'Coast', presetIds: ['C0150401', 'C0150101', 'C0150201'] }]
+    });
+
+    // The search still applies, the facet doesn't
+    assert.deepEqual(plain(app.getFilteredCameras().map(c => c.presetId)), ['C0150101']);
+
+    app.config.filterQuery = '';
+    assert.deepEqual(plain(app.getFilteredCameras().map(c => c.presetId)), ['C0150401', 'C0150101', 'C0150201']);
+});
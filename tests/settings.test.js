@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createInstance, createSelect, plain } = require('./helpers/load-app');
+
+const SETTINGS_STORAGE_KEY = 'ouluWebCams.settings';
+
+function migrate(app, settings) {
+    let migrated = settings;
+    while (migrated.version < app.SETTINGS_VERSION) {
+        migrated = app.SETTINGS_MIGRATIONS[migrated.version](migrated);
+    }
+    return migrated;
+}
+
+function createSettingsApp() {
+    const app = loadApp({
+        elements: {
+            cameraCount: createSelect([1, 2, 4, 6, 8, 9, 12, 16], [9, 12, 16]),
+            cyclingInterval: createSelect([3000, 5000, 10000, 30000]),
+            stalePolicy: createSelect(['hide', 'dim', 'badge', 'show']),
+            selectedGroup: createSelect([''])
+        }
+    });
+    const instance = createInstance(app.OuluWebCams, {
+        cameraGroups: [],
+        config: {
+            cameraCount: 4,
+            cyclingInterval: 5000,
+            stalePolicy: 'hide',
+            selectedGroup: '',
+            selectedStations: [],
+            proximityPoint: null,
+            keyBindings: {}
+        }
+    });
+    return { app, instance };
+}
+
+test('migrations take version 1 settings to the current shape', () => {
+    const { app } = createSettingsApp();
+    const migrated = migrate(app, {
+        version: 1,
+        config: { cameraCount: 6, dropOldCameras: false, selectedMunicipality: 'Oulu', selectedStation: '' },
+        lockedPresets: { 0: 'C0150101', 3: 'C0150201' }
+    });
+
+    assert.equal(migrated.version, app.SETTINGS_VERSION);
+    assert.deepEqual(plain(migrated.pinnedPresets), { C0150101: 0, C0150201: 3 });
+    assert.deepEqual(plain(migrated.groups), []);
+    assert.equal(migrated.config.stalePolicy, 'show');
+    assert.equal(migrated.config.staleHours, 4);
+    assert.deepEqual(plain(migrated.config.selectedMunicipalities), ['Oulu']);
+    assert.deepEqual(plain(migrated.config.selectedStations), []);
+    assert.ok(!('dropOldCameras' in migrated.config));
+    assert.ok(!('selectedMunicipality' in migrated.config));
+});
+
+test('loadSettings ignores settings without a version', () => {
+    const { app, instance } = createSettingsApp();
+    app.context.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ cameraCount: 8 }));
+
+    instance.loadSettings();
+
+    assert.equal(instance.config.cameraCount, 4);
+});
+
+test('loadSettings drops values the settings form does not offer', () => {
+    const { app, instance } = createSettingsApp();
+    app.context.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+        version: app.SETTINGS_VERSION,
+        config: { cameraCount: 7, cyclingInterval: 10000, stalePolicy: 'bogus', selectedStations: 'x' },
+        pinnedPresets: { C0150101: 1, C0150201: 'two' }
+    }));
+
+    instance.loadSettings();
+
+    assert.equal(instance.config.cameraCount, 4);
+    assert.equal(instance.config.cyclingInterval, 10000);
+    assert.equal(instance.config.stalePolicy, 'hide');
+    assert.deepEqual(plain(instance.config.selectedStations), []);
+    assert.deepEqual(plain([...instance.lockedCameras]), [['C0150101', 1]]);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, createInstance, plain } = require('./helpers/load-app');
+
+function parse(search) {
+    const { OuluWebCams } = loadApp({ search });
+    return plain(createInstance(OuluWebCams).parseUrlState());
+}
+
+function createViewState(overrides = {}) {
+    return {
+        viewMode: 'grid',
+        cameraCount: 4,
+        gridLayout: 'auto',
+        cyclingMode: 'all',
+        selectedMunicipalities: [],
+        selectedStations: [],
+        selectedGroup: '',
+        proximityTarget: 'point',
+        proximityPoint: null,
+        proximityRadius: 10,
+        filterQuery: '',
+        filterMunicipalities: [],
+        filterAge: '',
+        filterMultiPreset: false,
+        locks: [],
+        modalPresetId: null,
+        ...overrides
+    };
+}
+
+test('parseUrlState reads the shareable view parameters', () => {
+    assert.deepEqual(parse('?view=map&count=6&mode=proximity&near=65.01,25.47&radius=5&q=kempele&multi=1&camera=C0150101'), {
+        viewMode: 'map',
+        cameraCount: 6,
+        cyclingMode: 'proximity',
+        proximityRadius: 5,
+        filterQuery: 'kempele',
+        filterMultiPreset: true,
+        proximityPoint: { lat: 65.01, lon: 25.47 },
+        modalPresetId: 'C0150101'
+    });
+});
+
+test('parseUrlState collects repeated municipality and station parameters', () => {
+    const state = parse('?municipality=Oulu&municipality=Kempele&station=C01501');
+
+    assert.deepEqual(state.selectedMunicipalities, ['Oulu', 'Kempele']);
+    assert.deepEqual(state.selectedStations, ['C01501']);
+});
+
+test('parseUrlState ignores a malformed reference point', () => {
+    assert.ok(!('proximityPoint' in parse('?near=north')));
+});
+
+test('parseUrlState reads locks and skips entries that are not index:presetId', () => {
+    const state = parse('?locks=0:C0150101,12,x:C0150401,3:,-1:C0150501,2:C0150301');
+
+    assert.deepEqual(state.locks, [[0, 'C0150101'], [2, 'C0150301']]);
+});
+
+test('parseUrlState keeps the first lock per tile and per camera', () => {
+    const state = parse('?locks=0:C0150101,0:C0150201,1:C0150101,2:C0150301');
+
+    assert.deepEqual(state.locks, [[0, 'C0150101'], [2, 'C0150301']]);
+});
+
+test('buildViewUrl output parses back to the same view', () => {
+    const { OuluWebCams } = loadApp({ search: '?source=fixture' });
+    const view = createViewState({
+        viewMode: 'map',
+        cameraCount: 6,
+        cyclingMode: 'proximity',
+        proximityPoint: { lat: 65.01234, lon: 25.47111 },
+        proximityRadius: 5,
+        filterQuery: 'vt4',
+        filterMunicipalities: ['Oulu', 'Kempele'],
+        filterAge: '1h',
+        locks: [[0, 'C0150101'], [3, 'C0150201']],
+        modalPresetId: 'C0150101'
+    });
+
+    const url = createInstance(OuluWebCams).buildViewUrl(view);
+    const search = url.slice(url.indexOf('?'));
+
+    assert.ok(search.includes('source=fixture'));
+    assert.deepEqual(parse(search), {
+        viewMode: 'map',
+        cameraCount: 6,
+        cyclingMode: 'proximity',
+        proximityRadius: 5,
+        filterQuery: 'vt4',
+        filterMunicipalities: ['Oulu', 'Kempele'],
+        filterAge: '1h',
+        proximityPoint: { lat: 65.01234, lon: 25.47111 },
+        modalPresetId: 'C0150101',
+        locks: [[0, 'C0150101'], [3, 'C0150201']]
+    });
+});
+
+test('buildViewUrl leaves out parameters that do not apply to the mode', () => {
+    const { OuluWebCams } = loadApp();
+    const url = createInstance(OuluWebCams).buildViewUrl(createViewState({
+        selectedMunicipalities: ['Oulu'],
+        selectedStations: ['C01501'],
+        selectedGroup: 'Commute',
+        proximityPoint: { lat: 65, lon: 25 }
+    }));
+
+    assert.equal(url, '/index.html?count=4&mode=all');
+});
+
+test('going back in history applies the old view without saving it', () => {
+    const { OuluWebCams, context } = loadApp({ search: '?count=6' });
+    const instance = createInstance(OuluWebCams, {
+        config: { cameraCount: 4 },
+        isSelectOption: () => true,
+        isWallDisplay: () => false,
+        // Restoring the controls can restart cycling, which saves
+        syncControls() {
+            this.saveSettings();
+        },
+        renderPinnedList() {},
+        renderCameras() {},
+        closeModal() {}
+    });
+
+    instance.handlePopState({ state: null });
+
+    assert.equal(instance.config.cameraCount, 6);
+    assert.equal(context.localStorage.getItem('ouluWebCams.settings'), null);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const turf = require('@turf/turf');
+const { loadApp, createInstance, plain } = require('./helpers/load-app');
+
+const { OuluWebCams } = loadApp({ globals: { turf } });
+
+test('the controller broadcasts the shared settings with each display\'s page', () => {
+    const messages = [];
+    const controller = createInstance(OuluWebCams, {
+        wall: { channel: {} },
+        cameraGroups: [],
+        config: { cycling: true, weatherOverlay: true, weatherMaxDistance: 10, viewMode: 'map' },
+        isWallController: () => true,
+        getWallPages: () => ({ d1: ['C0150101'] }),
+        postWallMessage: message => messages.push(plain(message))
+    });
+
+    controller.broadcastWallState();
+
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].settings.weatherOverlay, true);
+    assert.equal(messages[0].settings.weatherMaxDistance, 10);
+    assert.ok(!('viewMode' in messages[0].settings));
+    assert.deepEqual(messages[0].pages, { d1: ['C0150101'] });
+});
+
+test('a display picks weather stations again when the distance changes', () => {
+    const rendered = [];
+    const display = createInstance(OuluWebCams, {
+        wall: { id: 'd1', lastState: null, assigned: null },
+        config: { weatherMaxDistance: 20 },
+        cameraWeather: new Map(),
+        weatherStations: [{ id: 'W1', lat: 65.1, lon: 25.47 }],
+        allCameras: [],
+        getStations: () => [{ cameraId: 'C01501', lat: 65.0, lon: 25.47 }],
+        filterCameras: cameras => cameras,
+        updateCyclingButton() {},
+        syncControls() {},
+        renderCameras() {
+            rendered.push([...this.cameraWeather.keys()]);
+        },
+        updateWallStatus() {}
+    });
+    const state = weatherMaxDistance => ({
+        settings: { weatherMaxDistance },
+        groups: [],
+        cycling: false,
+        pages: { d1: ['C0150101'] }
+    });
+
+    // The weather station is about 11 km away
+    display.applyWallState(state(20));
+    display.applyWallState(state(5));
+
+    assert.deepEqual(rendered, [['C01501'], []]);
+});